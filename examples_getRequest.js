@@ -1,96 +1,171 @@
-import http from 'k6/http';
-import { sleep, check } from 'k6';
-import { Rate, Trend } from 'k6/metrics';
-import { randomIntBetween } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
-
-// Custom metrics for better reporting
-const errorRate = new Rate('errors');
-const requestDuration = new Trend('request_duration');
-
-// Configuration
-const BASE_URL = __ENV.BASE_URL || 'https://reqres.in';
-const API_ENDPOINT = __ENV.API_ENDPOINT || '/api/users';
-const SLEEP_DURATION = __ENV.SLEEP_DURATION ? parseFloat(__ENV.SLEEP_DURATION) : 1;
-
-// Test options (can be overridden via command line)
-export const options = {
-  // Different stages of the test
-  stages: [
-    { duration: '30s', target: 5 },   // Ramp-up to 5 users
-    { duration: '1m', target: 5 },    // Stay at 5 users for 1 minute
-    { duration: '30s', target: 0 },   // Ramp-down to 0 users
-  ],
-  
-  // Thresholds for test success criteria
-  thresholds: {
-    http_req_duration: ['p(95)<500'],  // 95% of requests must complete within 500ms
+import { checkResponse, status, latency, validJson, requiredFields } from './lib/checks.js';
+import { buildOptions, mergeThresholds } from './lib/profiles.js';
+import { buildReports } from './lib/summary.js';
+import { loadBaseline, baselineThresholds } from './lib/baseline.js';
+import { createRetryPolicy, uuidv4 } from './lib/retry.js';
+import { loadRows, createFeed, STRATEGIES } from './lib/feed.js';
+import { loadConfig, printConfig } from './lib/config.js';
+import { guardTarget } from './lib/guard.js';
+import { loadReadiness, waitUntilReady } from './lib/readiness.js';
+import { LOG_SCHEMA, configureLogging, createLogger, responseFields } from './lib/logger.js';
+import { compileThinkTime, think, pace } from './lib/pacing.js';
+import { SLO_SCHEMA, configureSlos, compileSlo, recordSlo, sloThresholds } from './lib/slo.js';
+// Shared with the plan runner and the GraphQL helpers
+import { requestDuration, errorRate } from './lib/metrics.js';
+
+// Configuration - defaults below, overridden by config/<ENVIRONMENT>.json and then by environment variables
+const CONFIG_SCHEMA = {
+  BASE_URL: { type: 'url', default: 'https://reqres.in' },
+  API_ENDPOINT: { type: 'path', default: '/api/users' },
+  API_KEY: { type: 'string', default: '', secret: true },      // Sent as x-api-key when set
+  THINK_TIME: { type: 'string', default: 'uniform:0.8-1.2' },  // Pause after each request: 1, uniform:1-3, normal:2,0.5, exponential:2
+  PACING: { type: 'number', default: 0, min: 0 },               // Target iteration duration in seconds; 0 = no pacing
+  MAX_RETRIES: { type: 'integer', default: 2, min: 0, max: 10 },
+  PARAMS_FILE: { type: 'string', default: './data/user-pages.json' },
+  PARAMS_STRATEGY: { type: 'enum', values: STRATEGIES, default: 'sequential' },
+  HTTP_DEBUG: { type: 'boolean', default: false },
+  ...LOG_SCHEMA,
+  ...SLO_SCHEMA,
+};
+const CONFIG = loadConfig({
+  name: 'examples_getRequest',
+  schema: CONFIG_SCHEMA,
+  readFile: (path) => open(path),
+});
+
+configureLogging(CONFIG);
+const log = createLogger('examples_getRequest');
+
+// The endpoint's SLO: 95% of answers within the 500ms latency check, 99% with status 200
+configureSlos(CONFIG);
+const slos = {
+  [CONFIG.API_ENDPOINT]: compileSlo({
+    latency: { thresholdMs: 500, target: 0.95 },
+    availability: { target: 0.99 },
+  }, 'examples_getRequest SLO'),
+};
+
+// User think time between requests, reported as think_time
+const thinkTime = compileThinkTime(CONFIG.THINK_TIME, 'THINK_TIME');
+
+// Query parameter sets to cover, one per request (CSV or JSON rows of query parameters)
+const parameterSets = loadRows('parameter-sets', CONFIG.PARAMS_FILE, (path) => open(path));
+const parameterFeed = createFeed(parameterSets, { name: 'parameter-sets', strategy: CONFIG.PARAMS_STRATEGY });
+
+// Readiness probes for setup(), from config/<ENVIRONMENT>.json
+const readiness = loadReadiness({ name: 'examples_getRequest', environment: CONFIG.ENVIRONMENT, readFile: (path) => open(path) });
+
+// Retries rate limiting (429), gateway errors and network errors; other responses are checked as they are
+const retryPolicy = createRetryPolicy({ maxRetries: CONFIG.MAX_RETRIES });
+
+// Optional baseline of an earlier run (-e BASELINE=baselines/<script>.json);
+// regressions against it fail the run through the thresholds below
+const baseline = loadBaseline(__ENV.BASELINE, (path) => open(path));
+
+// Test options - the load shape comes from -e PROFILE=... (default: hold 5 users for 1 minute)
+export const options = buildOptions({
+  profile: 'load',
+  overrides: {
+    load: { vus: 5, duration: '1m' },
+  },
+
+  // Thresholds for test success criteria, added to the profile's
+  thresholds: mergeThresholds({
     'errors': ['rate<0.1'],            // Error rate must be less than 10%
+    ...sloThresholds(slos),            // Aborts when the error budget burns SLO_ABORT_BURN_RATE times too fast
+  }, baselineThresholds(baseline)),
+
+  options: {
+    // HTTP specific options
+    httpDebug: CONFIG.HTTP_DEBUG,
+    // Dashboard filters when metrics are streamed to Prometheus or InfluxDB
+    tags: {
+      script: 'examples_getRequest',
+      environment: CONFIG.ENVIRONMENT,
+    },
   },
-  
-  // HTTP specific options
-  httpDebug: __ENV.HTTP_DEBUG === 'true',
-};
+});
+
+// Stops here, before any request, if the target or the load is not allowed for this environment
+guardTarget({ environment: CONFIG.ENVIRONMENT, name: 'examples_getRequest', baseURL: CONFIG.BASE_URL, options, readFile: (path) => open(path) });
 
 // Setup function - runs once at the beginning of the test
 export function setup() {
-  console.log(`Starting test with BASE_URL: ${BASE_URL}`);
-  
-  // You could perform authentication, gather test data, etc. here
-  return {
-    // Data to be passed to the default function
-    testData: {
-      pages: [1, 2, 3]
-    }
-  };
+  log.info('Starting test', { environment: CONFIG.ENVIRONMENT, baseURL: CONFIG.BASE_URL });
+  printConfig(CONFIG, CONFIG_SCHEMA);
+  log.info('Loaded parameter sets', { sets: parameterSets.length, file: CONFIG.PARAMS_FILE, strategy: CONFIG.PARAMS_STRATEGY });
+
+  // Don't start the load until the API answers its readiness probes
+  waitUntilReady(CONFIG.BASE_URL, readiness, CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {});
 }
 
 // Default function - this is the main test function that is executed for each VU
-export default function(data) {
-  // Get a random page number
-  const page = data.testData.pages[randomIntBetween(0, data.testData.pages.length - 1)];
-  
+export default function() {
+  const startedAt = Date.now();
+
+  // Take the next parameter set according to PARAMS_STRATEGY
+  const parameters = parameterFeed.next();
+  if (!parameters) {
+    return;
+  }
+  const query = Object.keys(parameters)
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(parameters[key])}`)
+    .join('&');
+
   // Prepare request parameters
-  const url = `${BASE_URL}${API_ENDPOINT}?page=${page}`;
+  const url = `${CONFIG.BASE_URL}${CONFIG.API_ENDPOINT}?${query}`;
   const params = {
     headers: {
       'Content-Type': 'application/json',
       'Accept': 'application/json',
       'User-Agent': 'k6-load-test',
+      'X-Request-ID': uuidv4(),         // Correlates the request with server-side logs
+      ...(CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {}),
     },
     tags: {
-      name: `GetUsersPage${page}`,  // Tag the request for better analysis
+      name: `${CONFIG.API_ENDPOINT}?${query}`,  // Tag the request for better analysis
     },
   };
   
   // Execute the request
-  const startTime = new Date().getTime();
-  const response = http.get(url, params);
-  const duration = new Date().getTime() - startTime;
+  const response = retryPolicy.request('GET', url, null, params);
+  // Latency of the final attempt, without retry backoff, as in the plan runner
+  const duration = response.timings.duration;
   
-  // Record the request duration
-  requestDuration.add(duration);
+  // Record the request duration, per endpoint like the plan runner's request_duration
+  const metricTags = { endpoint: CONFIG.API_ENDPOINT };
+  requestDuration.add(duration, metricTags);
   
   // Verify response
-  const checkRes = check(response, {
-    'is status 200': (r) => r.status === 200,
-    'has valid JSON response': (r) => r.json().data !== undefined,
-    'response time < 500ms': (r) => r.timings.duration < 500,
-  });
+  const checkRes = checkResponse(response, [
+    status(200),
+    validJson(),
+    requiredFields('', ['data'], 'has data field'),
+    latency(500),
+  ]);
   
   // Update error rate metric based on check results
-  errorRate.add(!checkRes);
+  errorRate.add(!checkRes, metricTags);
+  recordSlo(CONFIG.API_ENDPOINT, slos[CONFIG.API_ENDPOINT], { durationMs: duration, ok: response.status === 200 });
   
-  // Log failure details
+  // Log failure details: status, timing, request id and the start of the body (sampled under load)
   if (!checkRes) {
-    console.error(`Request failed: ${url}, Status: ${response.status}, Body: ${response.body}`);
+    log.error('Request failed', { ...responseFields(response), endpoint: `${CONFIG.API_ENDPOINT}?${query}` });
   }
   
-  // Add dynamic sleep time to simulate real user behavior
-  sleep(SLEEP_DURATION * randomIntBetween(8, 12) / 10);  // +/- 20% variation
+  // Pause like a real user, then pad the iteration to PACING seconds when set
+  think(thinkTime);
+  pace(CONFIG.PACING, startedAt);
 }
 
 // Teardown function - runs once at the end of the test
 export function teardown(data) {
-  console.log('Test completed');
+  log.info('Test completed');
   // Here you could clean up any resources created during the test
-}
\ No newline at end of file
+}
+
+// Writes the HTML, JUnit XML and Markdown reports next to the console summary,
+// plus the baseline comparison when BASELINE is set and the endpoint's remaining error budget
+export function handleSummary(data) {
+  return buildReports(data, { name: 'examples_getRequest', baseline, slos });
+}
@@ -0,0 +1,172 @@
+import { requiredFields, fieldEquals, fieldMatches } from './lib/checks.js';
+import { buildOptions, mergeThresholds } from './lib/profiles.js';
+import { buildReports } from './lib/summary.js';
+import { loadBaseline, baselineThresholds } from './lib/baseline.js';
+import { loadConfig, printConfig } from './lib/config.js';
+import { guardTarget } from './lib/guard.js';
+import { loadReadiness, waitUntilReady } from './lib/readiness.js';
+import { LOG_SCHEMA, configureLogging, createLogger } from './lib/logger.js';
+import { compileThinkTime, think, pace } from './lib/pacing.js';
+import { SLO_SCHEMA, configureSlos, sloThresholds } from './lib/slo.js';
+import { createGraphQLClient } from './lib/graphql.js';
+
+// Configuration - defaults below, overridden by config/<ENVIRONMENT>.json and then by environment variables
+const CONFIG_SCHEMA = {
+  BASE_URL: { type: 'url', default: 'http://127.0.0.1:3000' },
+  GRAPHQL_ENDPOINT: { type: 'path', default: '/graphql' },
+  API_KEY: { type: 'string', default: '', secret: true },      // Sent as x-api-key when set
+  THINK_TIME: { type: 'string', default: 'uniform:0.5-1.5' },  // Pause after each operation: 1, uniform:1-3, normal:2,0.5, exponential:2
+  PACING: { type: 'number', default: 0, min: 0 },               // Target iteration duration in seconds; 0 = no pacing
+  MAX_RETRIES: { type: 'integer', default: 2, min: 0, max: 10 },
+  ...LOG_SCHEMA,
+  ...SLO_SCHEMA,
+};
+const CONFIG = loadConfig({
+  name: 'examples_graphql',
+  schema: CONFIG_SCHEMA,
+  readFile: (path) => open(path),
+});
+
+configureLogging(CONFIG);
+const log = createLogger('examples_graphql');
+configureSlos(CONFIG);
+
+// Operations are defined once, in the init context; each one is tagged endpoint=/graphql/<OperationName>
+const client = createGraphQLClient({
+  url: `${CONFIG.BASE_URL}${CONFIG.GRAPHQL_ENDPOINT}`,
+  headers: CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {},
+  retry: { maxRetries: CONFIG.MAX_RETRIES },
+});
+
+const getUser = client.operation(`
+  query GetUser($id: Int!) {
+    user(id: $id) { id email firstName lastName }
+  }
+`, {
+  checks: [requiredFields('data.user', ['id', 'email', 'firstName', 'lastName'], 'user has all fields')],
+  slo: { latency: { thresholdMs: 500, target: 0.95 }, availability: { target: 0.99 } },
+});
+
+const listUsers = client.operation(`
+  query ListUsers($page: Int, $perPage: Int) {
+    users(page: $page, perPage: $perPage) {
+      page
+      totalPages
+      data { id email }
+    }
+  }
+`, {
+  checks: [requiredFields('data.users.data[]', ['id', 'email'], 'every listed user has id and email')],
+  slo: { latency: { thresholdMs: 500, target: 0.95 }, availability: { target: 0.99 } },
+});
+
+const createUser = client.operation(`
+  mutation CreateUser($name: String!, $job: String) {
+    createUser(name: $name, job: $job) { id name job createdAt }
+  }
+`, {
+  checks: [
+    requiredFields('data.createUser', ['id', 'createdAt'], 'created user has id and createdAt'),
+    fieldMatches('data.createUser.name', /^k6 user \d+$/, 'created user keeps its name'),
+  ],
+  slo: { availability: { target: 0.99 } },
+});
+
+// A NOT_FOUND error is the correct answer here: the check asserts it, and it is not counted in `errors`
+const missingUser = client.operation(`
+  query MissingUser($id: Int!) {
+    user(id: $id) { id }
+  }
+`, {
+  expectErrors: 'NOT_FOUND',
+  checks: [fieldEquals('data.user', null, 'missing user is null')],
+});
+
+const operations = [getUser, listUsers, createUser, missingUser];
+const slos = {};
+operations.forEach((operation) => {
+  slos[operation.endpoint] = operation.slo;
+});
+
+// User think time between operations, reported as think_time
+const thinkTime = compileThinkTime(CONFIG.THINK_TIME, 'THINK_TIME');
+
+// Readiness probes for setup(), from config/<ENVIRONMENT>.json
+const readiness = loadReadiness({ name: 'examples_graphql', environment: CONFIG.ENVIRONMENT, readFile: (path) => open(path) });
+
+// Optional baseline of an earlier run (-e BASELINE=baselines/<script>.json)
+const baseline = loadBaseline(__ENV.BASELINE, (path) => open(path));
+
+// Test options - the load shape comes from -e PROFILE=... (default: hold 5 users for 1 minute)
+export const options = buildOptions({
+  profile: 'load',
+  overrides: {
+    load: { vus: 5, duration: '1m' },
+  },
+
+  // Thresholds for test success criteria, added to the profile's
+  thresholds: mergeThresholds({
+    'errors': ['rate<0.1'],                                          // Failed operations, including unexpected GraphQL errors
+    [`request_duration{endpoint:${listUsers.endpoint}}`]: ['p(95)<500'],
+    [`graphql_errors{endpoint:${getUser.endpoint}}`]: ['count<1'],   // A 200 with errors is still an error
+    ...sloThresholds(slos),
+  }, baselineThresholds(baseline)),
+
+  options: {
+    // Dashboard filters when metrics are streamed to Prometheus or InfluxDB
+    tags: {
+      script: 'examples_graphql',
+      environment: CONFIG.ENVIRONMENT,
+    },
+  },
+});
+
+// Stops here, before any request, if the target or the load is not allowed for this environment
+guardTarget({ environment: CONFIG.ENVIRONMENT, name: 'examples_graphql', baseURL: CONFIG.BASE_URL, options, readFile: (path) => open(path) });
+
+// Setup function - runs once at the beginning of the test
+export function setup() {
+  log.info('Starting test', { environment: CONFIG.ENVIRONMENT, baseURL: CONFIG.BASE_URL, operations: operations.map((operation) => operation.endpoint).join(', ') });
+  printConfig(CONFIG, CONFIG_SCHEMA);
+
+  // Don't start the load until the API answers its readiness probes
+  waitUntilReady(CONFIG.BASE_URL, readiness, CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {});
+}
+
+// Default function - lists users, reads one from the page, creates one and asks for one that does not exist
+export default function() {
+  const startedAt = Date.now();
+
+  const page = listUsers.run({ page: 1 + Math.floor(Math.random() * 2), perPage: 6 });
+  think(thinkTime);
+
+  // Read a user from the listed page, falling back to a known id when the list failed
+  const listed = page.data && page.data.users ? page.data.users.data : [];
+  const id = listed.length > 0 ? listed[Math.floor(Math.random() * listed.length)].id : 2;
+  const user = getUser.run({ id });
+  if (!user.passed) {
+    log.error('GetUser failed', { status: user.response.status, userId: id, errors: user.errors.map((error) => error.message).join('; ') });
+  }
+  think(thinkTime);
+
+  const created = createUser.run({ name: `k6 user ${__VU}`, job: 'load tester' });
+  if (!created.passed) {
+    log.error('CreateUser failed', { status: created.response.status, errors: created.errors.map((error) => error.message).join('; ') });
+  }
+  think(thinkTime);
+
+  missingUser.run({ id: 9999 });
+
+  pace(CONFIG.PACING, startedAt);
+}
+
+// Teardown function - runs once at the end of the test
+export function teardown() {
+  log.info('Test completed');
+}
+
+// Writes the HTML, JUnit XML and Markdown reports next to the console summary,
+// plus the baseline comparison when BASELINE is set and each operation's remaining error budget
+export function handleSummary(data) {
+  return buildReports(data, { name: 'examples_graphql', baseline, slos });
+}
@@ -6,338 +6,395 @@
  * comprehensive metrics collection, and dynamic test data management.
  * 
  * Features:
- * - Token-based authentication with auto-refresh
- * - Circuit breaker pattern for fault tolerance
- * - Dynamic payload generation
+ * - Token-based authentication with a per-VU session: proactive refresh,
+ *   retry on 401 and logout
+ * - Circuit breakers per operation (closed/open/half-open) for fault tolerance
+ * - Retries with jittered, capped backoff and idempotency keys
+ * - Seeded test accounts from a CSV/JSON data file
+ * - Login payloads rendered from a template with seeded generated data
  * - Custom metrics and detailed reporting
  * - Response validation with JSON schema
  * - Correlation between requests
- * - Environment-specific configurations
+ * - Environment-specific configuration files with validation
+ * - Structured JSON logs with sampling and secret redaction
+ * - Think-time distributions and optional constant pacing
+ * - Login SLO with error-budget tracking and early abort
  */
 
-import http from 'k6/http';
-import { check, group, sleep } from 'k6';
-import { Rate, Trend, Counter } from 'k6/metrics';
-import { randomString, randomIntBetween, uuidv4 } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
-import encoding from 'k6/encoding';
+import { check, group } from 'k6';
+import { Trend, Counter } from 'k6/metrics';
 import exec from 'k6/execution';
 import { URL } from 'https://jslib.k6.io/url/1.0.0/index.js';
+import { checkResponse, status, latency, headerMatches } from './lib/checks.js';
+import { matchesSchema } from './lib/schema.js';
+import { buildOptions, mergeThresholds } from './lib/profiles.js';
+import { buildReports } from './lib/summary.js';
+import { loadBaseline, baselineThresholds } from './lib/baseline.js';
+import { createSession } from './lib/session.js';
+import { createCircuitBreaker, circuitThresholds } from './lib/circuit-breaker.js';
+import { createRetryPolicy, uuidv4 } from './lib/retry.js';
+import { loadRows, createFeed, STRATEGIES } from './lib/feed.js';
+import { loadConfig, printConfig } from './lib/config.js';
+import { guardTarget } from './lib/guard.js';
+import { loadReadiness, waitUntilReady } from './lib/readiness.js';
+import { LOG_SCHEMA, configureLogging, createLogger, maskEmail, responseFields } from './lib/logger.js';
+import { compileThinkTime, think, pace } from './lib/pacing.js';
+import { PAYLOAD_SCHEMA, configurePayloads, loadPayloadTemplate, buildPayload } from './lib/payload.js';
+import { SLO_SCHEMA, configureSlos, compileSlo, recordSlo, sloThresholds } from './lib/slo.js';
+import { newRate } from './lib/metrics.js';
 
 // Define custom metrics for comprehensive analysis
-const loginFailRate = new Rate('login_failures');
-const tokenRefreshRate = new Rate('token_refresh_rate');
-const requestDuration = new Trend('request_duration_ms');
-const dataProcessingTime = new Trend('data_processing_time_ms');
+const loginFailRate = newRate('login_failures', { higherIsBetter: false });
+const requestDuration = new Trend('request_duration_ms', true);
+const dataProcessingTime = new Trend('data_processing_time_ms', true);
 const successfulLogins = new Counter('successful_logins');
-const bytesSent = new Counter('data_sent_bytes');
-
-// Circuit breaker configuration
-const CIRCUIT_MAX_FAILURES = 5;  // Maximum consecutive failures before circuit opens
-const CIRCUIT_RESET_TIME = 30;   // Seconds before attempting to close circuit again
-let circuitState = {
-  failures: 0,
-  openSince: null,
-};
 
-// Test configuration - can be overridden via environment variables
-const CONFIG = {
-  BASE_URL: __ENV.BASE_URL || 'http://test.k6.io',
-  LOGIN_ENDPOINT: __ENV.LOGIN_ENDPOINT || '/login',
-  AUTH_ENDPOINT: __ENV.AUTH_ENDPOINT || '/auth/token',
-  REQUEST_TIMEOUT: __ENV.REQUEST_TIMEOUT ? parseInt(__ENV.REQUEST_TIMEOUT) : 3000,
-  CONNECTION_TIMEOUT: __ENV.CONNECTION_TIMEOUT ? parseInt(__ENV.CONNECTION_TIMEOUT) : 1000,
-  ENVIRONMENT: __ENV.ENVIRONMENT || 'staging',
-  USER_POOL_SIZE: __ENV.USER_POOL_SIZE ? parseInt(__ENV.USER_POOL_SIZE) : 5,
-  MAX_RETRIES: __ENV.MAX_RETRIES ? parseInt(__ENV.MAX_RETRIES) : 3,
-  RETRY_INTERVAL: __ENV.RETRY_INTERVAL ? parseInt(__ENV.RETRY_INTERVAL) : 2,
+// Response schema for the login endpoint
+const loginTokenSchema = JSON.parse(open('./schemas/login-token.json'));
+
+// Test configuration - defaults below, overridden by config/<ENVIRONMENT>.json and then by
+// environment variables; invalid values (e.g. MAX_RETRIES=abc) abort the test at init
+const CONFIG_SCHEMA = {
+  BASE_URL: { type: 'url', default: 'http://test.k6.io' },
+  LOGIN_ENDPOINT: { type: 'path', default: '/login' },
+  AUTH_ENDPOINT: { type: 'path', default: '/auth/token' },
+  LOGOUT_ENDPOINT: { type: 'path', default: '/logout' },
+  PROTECTED_ENDPOINT: { type: 'path', default: '/api/profile' },
+  API_KEY: { type: 'string', default: '', secret: true },         // Sent as x-api-key when set
+  TOKEN_REFRESH_MARGIN: { type: 'integer', default: 30, min: 0 },
+  SESSION_ITERATIONS: { type: 'integer', default: 5, min: 1 },
+  REQUEST_TIMEOUT: { type: 'integer', default: 3000, min: 1 },
+  CONNECTION_TIMEOUT: { type: 'integer', default: 1000, min: 1 },
+  USERS_FILE: { type: 'string', default: './data/users.csv' },    // Seeded accounts (CSV or JSON with email and password)
+  USER_STRATEGY: { type: 'enum', values: STRATEGIES, default: 'random' },
+  LOGIN_PAYLOAD: { type: 'string', default: './payloads/login.json' }, // Login body template (lib/payload.js)
+  MAX_RETRIES: { type: 'integer', default: 3, min: 0, max: 10 },
+  RETRY_INTERVAL: { type: 'number', default: 2, min: 0 },         // Backoff base in seconds; attempt n waits up to RETRY_INTERVAL * 2^n
+  RETRY_MAX_DELAY: { type: 'number', default: 10, min: 0 },       // Cap for backoff and Retry-After waits in seconds
+  CIRCUIT_MAX_FAILURES: { type: 'integer', default: 5, min: 1 },  // Consecutive failures before a circuit opens
+  CIRCUIT_RESET_TIME: { type: 'number', default: 30, min: 0 },    // Seconds before probing an open circuit
+  CIRCUIT_HALF_OPEN_PROBES: { type: 'integer', default: 1, min: 1 },
+  SESSION_THINK_TIME: { type: 'string', default: 'uniform:1-3' }, // Pause before each authenticated call (pacing.js spec)
+  THINK_TIME: { type: 'string', default: 'uniform:1-5' },         // Pause at the end of each iteration
+  PACING: { type: 'number', default: 0, min: 0 },                 // Target iteration duration in seconds; 0 = no pacing
+  ...LOG_SCHEMA,                                                  // LOG_LEVEL, LOG_SAMPLE_RATE, LOG_MAX_PER_SECOND
+  ...PAYLOAD_SCHEMA,                                              // PAYLOAD_SEED
+  ...SLO_SCHEMA,                                                  // SLO_ABORT_BURN_RATE, SLO_ABORT_DELAY, SLO_WINDOW
+};
+const CONFIG = loadConfig({
+  name: 'examples_postRequestPayload',
+  schema: CONFIG_SCHEMA,
+  readFile: (path) => open(path),
+});
+
+// JSON log lines; failed logins under load are sampled instead of flooding the output
+configureLogging(CONFIG);
+const log = createLogger('examples_postRequestPayload');
+
+// Login body template; its generated values repeat across runs with the same PAYLOAD_SEED
+configurePayloads(CONFIG);
+const loginTemplate = loadPayloadTemplate(CONFIG.LOGIN_PAYLOAD, (path) => open(path));
+
+// Login SLO, in line with the login checks and the login_failures threshold;
+// a login skipped by the open circuit counts against availability
+configureSlos(CONFIG);
+const slos = {
+  [CONFIG.LOGIN_ENDPOINT]: compileSlo({
+    latency: { thresholdMs: 2000, target: 0.95 },
+    availability: { target: 0.95 },
+  }, 'login SLO'),
 };
 
-// Test execution options with sophisticated load profile
-export const options = {
-  scenarios: {
-    login_flow: {
-      executor: 'ramping-arrival-rate', // Realistic arrival pattern
-      startRate: 1,
-      timeUnit: '1s',
-      preAllocatedVUs: 10,
-      maxVUs: 50,
-      stages: [
-        { target: 5, duration: '1m' },    // Warm-up phase
-        { target: 20, duration: '2m' },   // Steady load
-        { target: 50, duration: '1m' },   // Spike test
-        { target: 20, duration: '2m' },   // Recovery phase
-        { target: 0, duration: '1m' },    // Cool-down
-      ],
-    },
-  },
-  thresholds: {
-    'http_req_duration': ['p(95)<2000', 'p(99)<5000'],  // Response time thresholds
+// Think times, validated at init; every pause is recorded in think_time
+const sessionThinkTime = compileThinkTime(CONFIG.SESSION_THINK_TIME, 'SESSION_THINK_TIME');
+const iterationThinkTime = compileThinkTime(CONFIG.THINK_TIME, 'THINK_TIME');
+
+// Sent with every request when an API key is configured
+const apiKeyHeader = CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {};
+
+// Circuit breakers per operation, sharing the settings above
+const CIRCUITS = ['login', 'get_profile'];
+const breaker = createCircuitBreaker({
+  failureThreshold: CONFIG.CIRCUIT_MAX_FAILURES,
+  resetTimeoutSeconds: CONFIG.CIRCUIT_RESET_TIME,
+  halfOpenProbes: CONFIG.CIRCUIT_HALF_OPEN_PROBES,
+});
+
+// Login retries: only 429/5xx gateway errors and network errors are retried,
+// each attempt passing through the login circuit
+const loginRetry = createRetryPolicy({
+  maxRetries: CONFIG.MAX_RETRIES,
+  baseDelaySeconds: CONFIG.RETRY_INTERVAL,
+  maxDelaySeconds: CONFIG.RETRY_MAX_DELAY,
+  beforeAttempt: () => breaker.allow('login'),
+  afterAttempt: (response) => breaker.record('login', response.status === 200),
+});
+
+// Readiness probes polled in setup() before the load starts (config/<ENVIRONMENT>.json)
+const readiness = loadReadiness({ name: 'examples_postRequestPayload', environment: CONFIG.ENVIRONMENT, readFile: (path) => open(path) });
+
+// Seeded test accounts, shared between VUs; each login takes the next one from the feed
+const users = loadRows('users', CONFIG.USERS_FILE, (path) => open(path));
+const userFeed = createFeed(users, { name: 'users', strategy: CONFIG.USER_STRATEGY });
+
+// Optional baseline of an earlier run (-e BASELINE=baselines/<script>.json);
+// regressions against it fail the run through the thresholds below
+const baseline = loadBaseline(__ENV.BASELINE, (path) => open(path));
+
+// Test execution options - the load profile is selected with -e PROFILE=...;
+// the default is 'smoke', the only load the public test.k6.io of the default
+// environment allows. -e PROFILE=spike (an arrival-rate curve with warm-up,
+// steady load, spike, recovery and cool-down phases) runs against the mock
+// server with -e ENVIRONMENT=dev
+export const options = buildOptions({
+  profile: 'smoke',
+  scenario: 'login_flow',
+  thresholds: mergeThresholds({
     'login_failures': ['rate<0.05'],                   // 5% max failure rate
+    'auth_failures': ['rate<0.05'],                    // Authenticated calls rejected after refresh
     'checks': ['rate>0.95'],                           // 95% check pass rate
     'data_processing_time_ms': ['avg<500'],            // Client-side processing
+    // Per-circuit short-circuited calls and tripped seconds in the summary
+    ...circuitThresholds(CIRCUITS),
+    // Login SLO targets; the run is aborted when its error budget burns too fast
+    ...sloThresholds(slos),
+  }, baselineThresholds(baseline)),
+  options: {
+    tags: {
+      script: 'examples_postRequestPayload',
+      environment: CONFIG.ENVIRONMENT,
+      testType: 'authentication-test',
+    },
   },
-  tags: {
-    environment: CONFIG.ENVIRONMENT,
-    testType: 'authentication-test',
-  },
-};
+});
 
-/**
- * Generates a user credential pool for testing.
- * Using different credentials helps simulate real-world scenarios
- * and avoids rate-limiting and data pollution issues.
- * 
- * @param {number} poolSize - Number of unique users to generate
- * @returns {Array} - Pool of user credentials
- */
-function generateUserPool(poolSize) {
-  const users = [];
-  for (let i = 0; i < poolSize; i++) {
-    users.push({
-      email: `user${i}_${randomString(8)}@example.com`,
-      password: `Secure${randomString(12)}!${i}`,
-      userId: uuidv4(),
-    });
-  }
-  return users;
-}
+// Safety guard: the selected profile must stay within the environment's caps and allowlist,
+// and production needs -e CONFIRM_PRODUCTION=<host>
+guardTarget({ environment: CONFIG.ENVIRONMENT, name: 'examples_postRequestPayload', baseURL: CONFIG.BASE_URL, options, readFile: (path) => open(path) });
 
 /**
- * Implements the Circuit Breaker pattern to prevent repeated calls
- * to failing services, allowing for system recovery.
- * 
- * @param {string} operationName - Name of operation to track
- * @returns {boolean} - Whether operation should proceed
+ * Creates a session manager for the configured auth endpoints.
+ *
+ * @returns {Object} - Session from lib/session.js
  */
-function circuitBreaker(operationName) {
-  // If circuit is open, check if reset timeout has passed
-  if (circuitState.openSince !== null) {
-    const elapsedSeconds = (Date.now() - circuitState.openSince) / 1000;
-    if (elapsedSeconds < CIRCUIT_RESET_TIME) {
-      console.warn(`Circuit open: Skipping ${operationName} for ${CIRCUIT_RESET_TIME - Math.floor(elapsedSeconds)}s`);
-      return false;
-    }
-
-    // Try to close the circuit
-    console.log(`Attempting to reset circuit for ${operationName}`);
-    circuitState.failures = 0;
-    circuitState.openSince = null;
-  }
-  return true;
+function newSession() {
+  return createSession({
+    baseURL: CONFIG.BASE_URL,
+    refreshPath: `${CONFIG.AUTH_ENDPOINT}/refresh`,
+    logoutPath: CONFIG.LOGOUT_ENDPOINT,
+    refreshMarginSeconds: CONFIG.TOKEN_REFRESH_MARGIN,
+    headers: {
+      'User-Agent': 'GrafanaK6/LoadTest',
+      // __VU also works in setup() and teardown(), where it is 0
+      'X-Test-VU': String(__VU),
+      ...apiKeyHeader,
+    },
+  });
 }
 
-/**
- * Records a success or failure for the circuit breaker pattern.
- * Opens the circuit if consecutive failures exceed threshold.
- * 
- * @param {boolean} success - Whether the operation succeeded
- */
-function recordCircuitBreakerResult(success) {
-  if (success) {
-    circuitState.failures = 0;  // Reset failure counter on success
-  } else {
-    circuitState.failures++;
-    if (circuitState.failures >= CIRCUIT_MAX_FAILURES && circuitState.openSince === null) {
-      circuitState.openSince = Date.now();
-      console.error(`Circuit opened after ${CIRCUIT_MAX_FAILURES} consecutive failures`);
-    }
-  }
-}
+// Per-VU session: module scope is per VU, so the tokens survive across iterations
+// until the session is logged out after CONFIG.SESSION_ITERATIONS iterations.
+// Created on the VU's first iteration, since VU information is not available in the init context
+let session = null;
+let sessionIterations = 0;
 
 /**
- * Creates a unique JSON payload for each login attempt.
- * Adds metadata for tracking and security purposes.
+ * Renders the login payload template for one attempt: the account from the
+ * feed plus generated client and tracking data.
  * 
  * @param {Object} user - User credentials
+ * @param {string} testRunId - Identifies the run, from setup()
  * @returns {string} - JSON payload
  */
-function createLoginPayload(user) {
+function createLoginPayload(user, testRunId) {
   const processingStart = Date.now();
 
-  // Create a payload with security and tracking info
-  const payload = JSON.stringify({
-    email: user.email,
-    password: user.password,
-    clientInfo: {
-      deviceId: `k6-load-test-${exec.vu.idInTest}`,
-      appVersion: '2.5.0',
-      osType: 'Test',
-      ipAddress: `192.0.2.${exec.vu.idInTest % 255}`, // Demo IP for load testing
-    },
-    metadata: {
-      testRunId: uuidv4(),
-      timestamp: new Date().toISOString(),
-      correlationId: `corr-${uuidv4()}`,
-    }
-  });
+  // Its size is recorded in payload_bytes and payload_size
+  const payload = buildPayload(loginTemplate, { user, vu: __VU, testRunId }, { endpoint: CONFIG.LOGIN_ENDPOINT });
 
   // Track client-side processing time
   dataProcessingTime.add(Date.now() - processingStart);
 
-  // Track payload size
-  bytesSent.add(payload.length);
-
   return payload;
 }
 
 /**
- * Performs login request with retry logic and comprehensive error handling.
- * Implements exponential backoff strategy for retries.
+ * Performs login request through the retry policy.
+ * Every attempt is reported to the login circuit breaker, so an opening
+ * circuit also stops the remaining retries.
  * 
  * @param {Object} user - User credentials
+ * @param {string} testRunId - Identifies the run, from setup()
  * @returns {Object|null} - Response data or null on failure
  */
-function performLogin(user) {
-  if (!circuitBreaker('login')) {
+function performLogin(user, testRunId) {
+  const loginUrl = new URL(CONFIG.LOGIN_ENDPOINT, CONFIG.BASE_URL).toString();
+  const payload = createLoginPayload(user, testRunId);
+  const requestId = uuidv4();
+  const loginLog = log.child({ requestId, endpoint: CONFIG.LOGIN_ENDPOINT, user: maskEmail(user.email) });
+
+  // Advanced request parameters
+  const params = {
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'GrafanaK6/LoadTest',
+      'X-Request-ID': requestId,
+      'X-Test-VU': String(__VU),
+      ...apiKeyHeader,
+    },
+    timeout: CONFIG.REQUEST_TIMEOUT,
+    connectionTimeout: CONFIG.CONNECTION_TIMEOUT,
+    tags: {
+      operation: 'user_login',
+    },
+  };
+
+  // Execute request; the login metrics carry the endpoint like the plan runner's
+  const metricTags = { endpoint: CONFIG.LOGIN_ENDPOINT };
+  const response = loginRetry.request('POST', loginUrl, payload, params);
+  if (response === null) {
+    loginLog.warn('Circuit open: login skipped');
+    recordSlo(CONFIG.LOGIN_ENDPOINT, slos[CONFIG.LOGIN_ENDPOINT], { durationMs: 0, ok: false });
     return null;
   }
-
-  const loginUrl = new URL(CONFIG.LOGIN_ENDPOINT, CONFIG.BASE_URL).toString();
-  const payload = createLoginPayload(user);
-  let retries = 0;
-  let result = null;
-
-  while (retries <= CONFIG.MAX_RETRIES) {
-    // Advanced request parameters
-    const params = {
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'GrafanaK6/LoadTest',
-        'X-Request-ID': uuidv4(),
-        'X-Test-VU': exec.vu.idInTest.toString(),
-      },
-      timeout: CONFIG.REQUEST_TIMEOUT,
-      connectionTimeout: CONFIG.CONNECTION_TIMEOUT,
-      tags: {
-        operation: 'user_login',
-        retryCount: retries,
-      },
-    };
-
-    // Execute request with timing
-    const startTime = Date.now();
-    const response = http.post(loginUrl, payload, params);
-    requestDuration.add(Date.now() - startTime);
-
-    // Comprehensive response validation
-    const checkResult = check(response, {
-      'status is 200': (r) => r.status === 200,
-      'has valid token': (r) => {
-        try {
-          const body = r.json();
-          return body.token && typeof body.token === 'string' && body.token.length > 10;
-        } catch (e) {
-          return false;
-        }
-      },
-      'response time acceptable': (r) => r.timings.duration < 2000,
-      'content-type is JSON': (r) => r.headers['Content-Type'] && r.headers['Content-Type'].includes('application/json'),
-    });
-
-    if (checkResult) {
-      successfulLogins.add(1);
-      recordCircuitBreakerResult(true);
-
-      // Extract response data for correlation with future requests
-      try {
-        result = response.json();
-        console.log(`Login successful for user ${user.email.substring(0, 5)}***`);
-        break;
-      } catch (e) {
-        console.error(`Error parsing JSON: ${e.message}`);
-      }
-    } else {
-      const backoffTime = CONFIG.RETRY_INTERVAL * Math.pow(2, retries);
-      loginFailRate.add(1);
-      console.warn(`Login attempt ${retries + 1} failed. Status: ${response.status}. Retrying in ${backoffTime}s`);
-
-      // Only sleep if we're going to retry
-      if (retries < CONFIG.MAX_RETRIES) {
-        sleep(backoffTime);
-      }
-
-      retries++;
-    }
+  // Latency of the final attempt: retry backoff and Retry-After waits are not response time
+  const loginDuration = response.timings.duration;
+  requestDuration.add(loginDuration, metricTags);
+  recordSlo(CONFIG.LOGIN_ENDPOINT, slos[CONFIG.LOGIN_ENDPOINT], { durationMs: loginDuration, ok: response.status === 200 });
+
+  // Comprehensive response validation
+  const checkResult = checkResponse(response, [
+    status(200),
+    matchesSchema(loginTokenSchema, 'has valid token'),
+    latency(2000, 'response time acceptable'),
+    headerMatches('Content-Type', /application\/json/, 'content-type is JSON'),
+  ]);
+  loginFailRate.add(!checkResult, metricTags);
+
+  if (!checkResult) {
+    loginLog.warn('Login failed', { ...responseFields(response), endpoint: CONFIG.LOGIN_ENDPOINT });
+    return null;
   }
 
-  if (retries > CONFIG.MAX_RETRIES) {
-    recordCircuitBreakerResult(false);
+  successfulLogins.add(1, metricTags);
+
+  // Extract response data for correlation with future requests
+  try {
+    const result = response.json();
+    loginLog.debug('Login successful', { status: response.status });
+    return result;
+  } catch (e) {
+    loginLog.error('Login response is not valid JSON', { error: e.message });
     return null;
   }
-
-  return result;
 }
 
 // Setup function runs once per test - prepare test data and environment
 export function setup() {
-  console.log(`Starting test in ${CONFIG.ENVIRONMENT} environment`);
+  log.info('Starting test', { environment: CONFIG.ENVIRONMENT, baseURL: CONFIG.BASE_URL });
+  printConfig(CONFIG, CONFIG_SCHEMA);
+
+  log.info('Loaded test accounts', { accounts: users.length, file: CONFIG.USERS_FILE });
+
+  // Wait until the system is healthy; aborts the test if it never becomes ready
+  waitUntilReady(CONFIG.BASE_URL, readiness, apiKeyHeader);
 
-  // Generate test users
-  const userPool = generateUserPool(CONFIG.USER_POOL_SIZE);
-  console.log(`Generated user pool with ${userPool.length} test accounts`);
+  // One id for all login payloads of the run; matches the dashboards' testid when TEST_ID is set
+  const testRunId = __ENV.TEST_ID || uuidv4();
 
-  // Verify system health before proceeding with full test
-  const healthCheck = http.get(`${CONFIG.BASE_URL}/health`);
-  if (healthCheck.status !== 200) {
-    throw new Error(`System health check failed: ${healthCheck.status}`);
+  // Verify the login flow once; the session is handed to teardown() for logout
+  const loginResult = performLogin(users[0], testRunId);
+  if (!loginResult) {
+    throw new Error(`Login with the first account in ${CONFIG.USERS_FILE} failed during setup`);
   }
 
-  return { userPool };
+  return { setupSession: loginResult, testRunId };
 }
 
 // Default function - main test execution
 export default function (data) {
+  const startedAt = Date.now();
+  if (session === null) {
+    session = newSession();
+  }
+
   group('Authentication Flow', function () {
-    // Select random user from pool
-    const userIndex = randomIntBetween(0, data.userPool.length - 1);
-    const user = data.userPool[userIndex];
+    if (session.isActive()) {
+      return;
+    }
 
-    // Attempt login with comprehensive metrics and error handling
-    const loginResult = performLogin(user);
+    // Take the next account according to USER_STRATEGY
+    const user = userFeed.next();
+    if (!user) {
+      return;
+    }
 
+    // Attempt login with comprehensive metrics and error handling
+    const loginResult = performLogin(user, data.testRunId);
     if (loginResult) {
+      session.start(loginResult);
+      sessionIterations = 0;
+    }
+  });
+
+  if (session.isActive()) {
+    group('Authenticated Calls', function () {
       // Simulate session usage
-      sleep(randomIntBetween(1, 3));
-
-      // Optionally perform other operations with the token
-      // such as API calls or token refresh
-      if (Math.random() < 0.3) { // 30% chance to refresh token
-        const refreshPayload = JSON.stringify({
-          token: loginResult.token,
-          grant_type: 'refresh_token'
-        });
+      think(sessionThinkTime);
 
-        const refreshResponse = http.post(
-          `${CONFIG.BASE_URL}${CONFIG.AUTH_ENDPOINT}/refresh`,
-          refreshPayload,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${loginResult.token}`
-            },
-            tags: { operation: 'token_refresh' }
-          }
-        );
-
-        check(refreshResponse, {
-          'token refresh successful': (r) => r.status === 200
-        }) ? tokenRefreshRate.add(0) : tokenRefreshRate.add(1);
+      if (!breaker.allow('get_profile')) {
+        return;
       }
+
+      // The session refreshes the token before it expires and retries once on 401
+      const response = session.request('GET', CONFIG.PROTECTED_ENDPOINT, null, {
+        tags: { operation: 'get_profile' },
+      });
+      breaker.record('get_profile', response !== null && checkResponse(response, [
+        status(200, 'authorized call succeeded'),
+      ]));
+    });
+
+    // End the session after a few iterations so the next one logs in again, and
+    // after the last iteration of the scenario: teardown() runs in a VU of its
+    // own and cannot reach the tokens of this one
+    sessionIterations++;
+    if (sessionIterations >= CONFIG.SESSION_ITERATIONS || exec.scenario.progress >= 1) {
+      group('Logout', function () {
+        check(session.logout(), {
+          'logout successful': (ok) => ok,
+        });
+      });
     }
-  });
+  }
 
-  // Add variable think time between iterations
-  sleep(randomIntBetween(1, 5));
+  // Think time between iterations, then pad to PACING seconds when set
+  think(iterationThinkTime);
+  pace(CONFIG.PACING, startedAt);
 }
 
 // Teardown function runs once at the end of the test
 export function teardown(data) {
-  console.log(`Test completed. Processed ${successfulLogins.values.count} successful logins`);
+  log.info('Test completed');
+
+  // Log out the session opened in setup(); the VU sessions log themselves out
+  // in their last iteration (see the default function)
+  if (data.setupSession) {
+    const setupSession = newSession();
+    setupSession.start(data.setupSession);
+    setupSession.logout();
+  }
 
   // Clean up any test data if necessary
-  if (CONFIG.ENVIRONMENT === 'staging' && successfulLogins.values.count > 0) {
-    console.log('Performing test data cleanup...');
+  if (CONFIG.ENVIRONMENT === 'staging') {
+    log.info('Performing test data cleanup');
     // Code to clean up test accounts would go here
   }
-}
\ No newline at end of file
+}
+
+// Writes the HTML, JUnit XML and Markdown reports next to the console summary,
+// plus the baseline comparison when BASELINE is set and the login SLO's error budget
+export function handleSummary(data) {
+  return buildReports(data, { name: 'examples_postRequestPayload', baseline, slos });
+}
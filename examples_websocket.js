@@ -0,0 +1,119 @@
+import { buildOptions, mergeThresholds } from './lib/profiles.js';
+import { buildReports } from './lib/summary.js';
+import { loadBaseline, baselineThresholds } from './lib/baseline.js';
+import { loadConfig, printConfig } from './lib/config.js';
+import { guardTarget } from './lib/guard.js';
+import { loadReadiness, waitUntilReady } from './lib/readiness.js';
+import { LOG_SCHEMA, configureLogging, createLogger } from './lib/logger.js';
+import { compileThinkTime, think, pace } from './lib/pacing.js';
+import { SLO_SCHEMA, configureSlos, sloThresholds } from './lib/slo.js';
+import { createWebSocketSession, notified } from './lib/websocket.js';
+
+// Configuration - defaults below, overridden by config/<ENVIRONMENT>.json and then by environment variables
+const CONFIG_SCHEMA = {
+  BASE_URL: { type: 'url', default: 'http://127.0.0.1:3000' },   // http(s) base; the socket uses ws(s) on the same host
+  WS_ENDPOINT: { type: 'path', default: '/ws/notifications' },
+  WS_CHANNEL: { type: 'string', default: 'users' },
+  WS_PINGS: { type: 'integer', default: 5, min: 1, max: 100 },         // Round trips measured per session
+  WS_PING_INTERVAL_MS: { type: 'integer', default: 1000, min: 10 },
+  WS_MAX_ROUND_TRIP_MS: { type: 'integer', default: 500, min: 1 },     // Budget per round trip, checked per session
+  WS_TIMEOUT: { type: 'integer', default: 30, min: 1 },                 // Seconds before an unfinished session is closed
+  API_KEY: { type: 'string', default: '', secret: true },               // Sent as x-api-key in the handshake when set
+  THINK_TIME: { type: 'string', default: 'uniform:1-3' },               // Pause between sessions: 1, uniform:1-3, normal:2,0.5, exponential:2
+  PACING: { type: 'number', default: 0, min: 0 },                       // Target iteration duration in seconds; 0 = no pacing
+  ...LOG_SCHEMA,
+  ...SLO_SCHEMA,
+};
+const CONFIG = loadConfig({
+  name: 'examples_websocket',
+  schema: CONFIG_SCHEMA,
+  readFile: (path) => open(path),
+});
+
+configureLogging(CONFIG);
+const log = createLogger('examples_websocket');
+configureSlos(CONFIG);
+
+// connect -> subscribe -> WS_PINGS round trips -> unsubscribe -> close, tagged endpoint=WS_ENDPOINT
+const session = createWebSocketSession({
+  url: `${CONFIG.BASE_URL.replace(/^http/, 'ws')}${CONFIG.WS_ENDPOINT}`,
+  endpoint: CONFIG.WS_ENDPOINT,
+  channel: CONFIG.WS_CHANNEL,
+  pings: CONFIG.WS_PINGS,
+  intervalMs: CONFIG.WS_PING_INTERVAL_MS,
+  maxRoundTripMs: CONFIG.WS_MAX_ROUND_TRIP_MS,
+  timeoutSeconds: CONFIG.WS_TIMEOUT,
+  headers: CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {},
+  // The stand-in pushes one notification per second; a session of several seconds should see at least one
+  checks: CONFIG.WS_PINGS * CONFIG.WS_PING_INTERVAL_MS >= 3000 ? [notified(1)] : [],
+  // Each round trip counts as a request: 95% within the budget, 99% answered at all
+  slo: { latency: { thresholdMs: CONFIG.WS_MAX_ROUND_TRIP_MS, target: 0.95 }, availability: { target: 0.99 } },
+});
+const slos = { [session.endpoint]: session.slo };
+
+// User think time between sessions, reported as think_time
+const thinkTime = compileThinkTime(CONFIG.THINK_TIME, 'THINK_TIME');
+
+// Readiness probes for setup(), from config/<ENVIRONMENT>.json
+const readiness = loadReadiness({ name: 'examples_websocket', environment: CONFIG.ENVIRONMENT, readFile: (path) => open(path) });
+
+// Optional baseline of an earlier run (-e BASELINE=baselines/<script>.json)
+const baseline = loadBaseline(__ENV.BASELINE, (path) => open(path));
+
+// Test options - the load shape comes from -e PROFILE=... (default: hold 10 connected users for 1 minute)
+export const options = buildOptions({
+  profile: 'load',
+  overrides: {
+    load: { vus: 10, duration: '1m' },
+  },
+
+  // Thresholds for test success criteria, added to the profile's
+  thresholds: mergeThresholds({
+    'errors': ['rate<0.1'],                      // Failed sessions
+    'ws_connecting': ['p(95)<1000'],             // Handshake time (k6 built-in)
+    'ws_round_trip': ['p(95)<300'],
+    'ws_subscribe_duration': ['p(95)<500'],
+    ...sloThresholds(slos),
+  }, baselineThresholds(baseline)),
+
+  options: {
+    // Dashboard filters when metrics are streamed to Prometheus or InfluxDB
+    tags: {
+      script: 'examples_websocket',
+      environment: CONFIG.ENVIRONMENT,
+    },
+  },
+});
+
+// Stops here, before any connection, if the target or the load is not allowed for this environment
+guardTarget({ environment: CONFIG.ENVIRONMENT, name: 'examples_websocket', baseURL: CONFIG.BASE_URL, options, readFile: (path) => open(path) });
+
+// Setup function - runs once at the beginning of the test
+export function setup() {
+  log.info('Starting test', { environment: CONFIG.ENVIRONMENT, baseURL: CONFIG.BASE_URL, endpoint: CONFIG.WS_ENDPOINT, channel: CONFIG.WS_CHANNEL });
+  printConfig(CONFIG, CONFIG_SCHEMA);
+
+  // The readiness probes are HTTP; the socket is served by the same host
+  waitUntilReady(CONFIG.BASE_URL, readiness, CONFIG.API_KEY ? { 'x-api-key': CONFIG.API_KEY } : {});
+}
+
+// Default function - one complete session per iteration
+export default function() {
+  const startedAt = Date.now();
+
+  session.run();
+
+  think(thinkTime);
+  pace(CONFIG.PACING, startedAt);
+}
+
+// Teardown function - runs once at the end of the test
+export function teardown() {
+  log.info('Test completed');
+}
+
+// Writes the HTML, JUnit XML and Markdown reports next to the console summary,
+// plus the baseline comparison when BASELINE is set and the channel's remaining error budget
+export function handleSummary(data) {
+  return buildReports(data, { name: 'examples_websocket', baseline, slos });
+}
@@ -0,0 +1,235 @@
+/**
+ * Baseline Comparison and Regression Detection
+ *
+ * Stores the key numbers of a run as a baseline file and compares later runs
+ * against it, per metric and per endpoint (tagged sub-metrics such as
+ * `request_duration{endpoint:list-users}` are baselined like any other metric).
+ *
+ * - SAVE_BASELINE=baselines/firstTest.json writes the baseline at the end of the run
+ * - BASELINE=baselines/firstTest.json loads it at init and turns it into
+ *   thresholds, so a regression fails the run with k6's threshold exit code
+ *
+ * A regression is, by default:
+ * - a latency p(95) more than 20% above the baseline (REGRESSION_LATENCY_PCT),
+ *   and at least 5ms above it (REGRESSION_MIN_MS) so sub-millisecond noise is ignored
+ * - a rate more than 2 percentage points worse than the baseline (REGRESSION_RATE_POINTS);
+ *   success rates must not drop and error rates must not rise. The direction is
+ *   the one the rate was declared with (`newRate()` in lib/metrics.js); rates
+ *   without a declared direction are not baselined
+ */
+
+import { createLogger } from './logger.js';
+import { rateDirection } from './metrics.js';
+
+const log = createLogger('baseline');
+
+// Trend statistic compared against the baseline
+const LATENCY_STAT = 'p(95)';
+
+// Trends excluded from the baseline: timing components are too noisy to gate on
+const IGNORED_TRENDS = /^(http_req_(blocked|connecting|tls_handshaking|sending|waiting|receiving)|iteration_duration)(\{|$)/;
+
+/**
+ * Reads a non-negative number environment variable, failing fast on typos.
+ */
+function toleranceFromEnv(name, fallback) {
+  const raw = __ENV[name];
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (Number.isNaN(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${raw}"`);
+  }
+  return value;
+}
+
+export const TOLERANCES = {
+  latencyPct: toleranceFromEnv('REGRESSION_LATENCY_PCT', 20),
+  minMs: toleranceFromEnv('REGRESSION_MIN_MS', 5),
+  ratePoints: toleranceFromEnv('REGRESSION_RATE_POINTS', 2),
+};
+
+function isHigherBetter(metric) {
+  return rateDirection(metric) === true;
+}
+
+/**
+ * Extracts the baselined values from end-of-test summary data.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @returns {Object} - Baseline document
+ */
+export function extractBaseline(data) {
+  const metrics = {};
+  const undirected = [];
+  Object.keys(data.metrics).sort().forEach((name) => {
+    const metric = data.metrics[name];
+    if (metric.type === 'trend' && metric.contains === 'time' && !IGNORED_TRENDS.test(name)) {
+      if (metric.values[LATENCY_STAT] !== undefined) {
+        metrics[name] = { type: 'trend', [LATENCY_STAT]: metric.values[LATENCY_STAT], avg: metric.values.avg };
+      }
+    } else if (metric.type === 'rate' && metric.values.passes + metric.values.fails > 0) {
+      if (rateDirection(name) === undefined) {
+        undirected.push(name);
+      } else {
+        metrics[name] = { type: 'rate', rate: metric.values.rate };
+      }
+    }
+  });
+  if (undirected.length > 0) {
+    log.warn('Rates without a declared direction are not baselined; declare them with newRate() from lib/metrics.js', { metrics: undirected });
+  }
+  return {
+    createdAt: new Date().toISOString(),
+    metrics,
+  };
+}
+
+/**
+ * Loads a baseline file. Must be called in the init context.
+ *
+ * @param {string} path - Baseline file path; falsy to disable the comparison
+ * @param {Function} readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ * @returns {Object|null} - Baseline document or null
+ */
+export function loadBaseline(path, readFile) {
+  if (!path) {
+    return null;
+  }
+  const baseline = JSON.parse(readFile(path));
+  if (!baseline.metrics) {
+    throw new Error(`Baseline ${path} has no "metrics" section`);
+  }
+  return baseline;
+}
+
+// Rates of a baseline file without a declared direction in this script are skipped
+function comparableMetrics(baseline) {
+  return Object.keys(baseline.metrics).filter((name) =>
+    baseline.metrics[name].type !== 'rate' || rateDirection(name) !== undefined
+  );
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Computes the worst acceptable value for a baselined metric.
+ *
+ * @param {string} name - Metric name
+ * @param {Object} entry - Baseline entry
+ * @returns {number} - Limit for the compared statistic
+ */
+function limitFor(name, entry) {
+  if (entry.type === 'trend') {
+    const base = entry[LATENCY_STAT];
+    return round(Math.max(base * (1 + TOLERANCES.latencyPct / 100), base + TOLERANCES.minMs));
+  }
+  const points = TOLERANCES.ratePoints / 100;
+  return round(isHigherBetter(name) ? Math.max(entry.rate - points, 0) : Math.min(entry.rate + points, 1));
+}
+
+/**
+ * Converts a baseline into k6 thresholds, so regressions fail the run.
+ *
+ * @param {Object|null} baseline - Baseline from loadBaseline()
+ * @returns {Object} - Thresholds keyed by metric name (empty without a baseline)
+ */
+export function baselineThresholds(baseline) {
+  const thresholds = {};
+  if (!baseline) {
+    return thresholds;
+  }
+  comparableMetrics(baseline).forEach((name) => {
+    const entry = baseline.metrics[name];
+    const limit = limitFor(name, entry);
+    if (entry.type === 'trend') {
+      thresholds[name] = [`${LATENCY_STAT}<=${limit}`];
+    } else {
+      thresholds[name] = [isHigherBetter(name) ? `rate>=${limit}` : `rate<=${limit}`];
+    }
+  });
+  return thresholds;
+}
+
+/**
+ * Compares the current run against a baseline.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {Object} baseline - Baseline from loadBaseline()
+ * @returns {Array<Object>} - One row per metric present in both runs
+ */
+export function compareToBaseline(data, baseline) {
+  const rows = [];
+  comparableMetrics(baseline).sort().forEach((name) => {
+    const entry = baseline.metrics[name];
+    const metric = data.metrics[name];
+    if (!metric) {
+      return;
+    }
+    const stat = entry.type === 'trend' ? LATENCY_STAT : 'rate';
+    const before = entry[stat];
+    const after = metric.values[stat];
+    const limit = limitFor(name, entry);
+    const regressed = entry.type === 'rate' && isHigherBetter(name) ? after < limit : after > limit;
+
+    rows.push({
+      metric: name,
+      stat,
+      baseline: before,
+      current: after,
+      change: entry.type === 'trend'
+        ? `${before === 0 ? 0 : (((after - before) / before) * 100).toFixed(1)}%`
+        : `${((after - before) * 100).toFixed(2)} pts`,
+      regressed,
+    });
+  });
+  return rows;
+}
+
+function formatValue(row, value) {
+  return row.stat === 'rate' ? `${(value * 100).toFixed(2)}%` : `${value.toFixed(2)}ms`;
+}
+
+/**
+ * Renders the comparison as a Markdown section.
+ *
+ * @param {Array<Object>} rows - Rows from compareToBaseline()
+ * @param {Object} baseline - Baseline the rows were compared against
+ * @returns {string} - Markdown
+ */
+export function comparisonMarkdown(rows, baseline) {
+  const regressions = rows.filter((row) => row.regressed).length;
+  const lines = [
+    '## Baseline Comparison',
+    '',
+    `Compared against the baseline from ${baseline.createdAt}: ${regressions} regression(s).`,
+    '',
+    '| Metric | Statistic | Baseline | Current | Change | Result |',
+    '|--------|-----------|----------|---------|--------|--------|',
+  ];
+  rows.forEach((row) => {
+    lines.push(`| \`${row.metric}\` | ${row.stat} | ${formatValue(row, row.baseline)} | ${formatValue(row, row.current)} | ${row.change} | ${row.regressed ? '❌ regression' : '✅ ok'} |`);
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Renders the comparison for the console, listing regressions only.
+ *
+ * @param {Array<Object>} rows - Rows from compareToBaseline()
+ * @returns {string} - Plain text
+ */
+export function comparisonText(rows) {
+  const regressions = rows.filter((row) => row.regressed);
+  if (regressions.length === 0) {
+    return `\n     baseline comparison: no regressions in ${rows.length} metric(s)\n`;
+  }
+  const lines = regressions.map((row) =>
+    `     ✗ ${row.metric} ${row.stat}: ${formatValue(row, row.baseline)} -> ${formatValue(row, row.current)} (${row.change})`
+  );
+  return `\n     baseline comparison: ${regressions.length} regression(s)\n${lines.join('\n')}\n`;
+}
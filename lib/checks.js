@@ -0,0 +1,313 @@
+/**
+ * Shared Check Builders
+ *
+ * Reusable building blocks for k6 `check()` calls. Each builder returns an
+ * object of named predicates; `checkResponse` merges them, rejects duplicate
+ * names (an object literal would silently keep only the last one) and runs
+ * them against a response.
+ *
+ * Body-based predicates never throw: a body that is not valid JSON simply
+ * makes them return false, so one bad response cannot abort the iteration.
+ *
+ * Paths use dot notation with `[]` to fan out over arrays, e.g.
+ * `support.url` or `data[].email` (every item's email).
+ */
+
+import { check } from 'k6';
+
+// Parsed bodies by response, so the N body checks of a response parse it once
+const parsedBodies = new WeakMap();
+
+/**
+ * Parses the response body as JSON without throwing. The result is cached on
+ * the response and shared by every caller, so it must not be modified.
+ *
+ * @param {Object} response - k6 http response
+ * @returns {*} - Parsed body, or undefined if the body is empty or invalid
+ */
+export function parseJson(response) {
+  if (!response || !response.body) {
+    return undefined;
+  }
+  const cached = parsedBodies.get(response);
+  if (cached && cached.body === response.body) {
+    return cached.value;
+  }
+  let value;
+  try {
+    value = JSON.parse(response.body);
+  } catch (e) {
+    value = undefined;
+  }
+  parsedBodies.set(response, { body: response.body, value });
+  return value;
+}
+
+/**
+ * Resolves a dot path against a value. A `[]` suffix on a segment maps the
+ * remaining path over every element of that array.
+ *
+ * @param {*} value - Root value
+ * @param {string} path - Path such as `data.id` or `data[].email`; empty for the root
+ * @returns {*} - Resolved value, an array of values for `[]` paths, or undefined
+ */
+export function getPath(value, path) {
+  if (!path) {
+    return value;
+  }
+  const [head, ...rest] = path.split('.');
+  const remaining = rest.join('.');
+
+  if (head.endsWith('[]')) {
+    const list = getPath(value, head.slice(0, -2));
+    if (!Array.isArray(list)) {
+      return undefined;
+    }
+    return list.map((item) => getPath(item, remaining));
+  }
+
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  return getPath(value[head], remaining);
+}
+
+/**
+ * Applies a predicate to a resolved path value, requiring every element to
+ * pass when the path fans out over an array.
+ */
+function testPath(response, path, predicate) {
+  const body = parseJson(response);
+  if (body === undefined) {
+    return false;
+  }
+  const value = getPath(body, path);
+  if (path.includes('[]')) {
+    return Array.isArray(value) && value.length > 0 && value.every(predicate);
+  }
+  return predicate(value);
+}
+
+function sameValue(actual, expected) {
+  if (expected !== null && typeof expected === 'object') {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+  return actual === expected;
+}
+
+/**
+ * Status code check.
+ *
+ * @param {number|Array<number>} expected - Accepted status code(s)
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function status(expected, name) {
+  const accepted = Array.isArray(expected) ? expected : [expected];
+  return {
+    [name || `status is ${accepted.join(' or ')}`]: (r) => accepted.includes(r.status),
+  };
+}
+
+/**
+ * Latency budget check on the total request duration.
+ *
+ * @param {number} maxMs - Maximum allowed duration in milliseconds
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function latency(maxMs, name) {
+  return {
+    [name || `response time < ${maxMs}ms`]: (r) => r.timings.duration < maxMs,
+  };
+}
+
+/**
+ * Checks the body parses as JSON.
+ *
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function validJson(name) {
+  return {
+    [name || 'response is valid JSON']: (r) => parseJson(r) !== undefined,
+  };
+}
+
+/**
+ * Checks the body is empty or an empty JSON object, as returned for 404s.
+ *
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function emptyBody(name) {
+  return {
+    [name || 'body is an empty object']: (r) => {
+      if (!r.body) {
+        return true;
+      }
+      const body = parseJson(r);
+      return body !== null && typeof body === 'object' && Object.keys(body).length === 0;
+    },
+  };
+}
+
+/**
+ * Checks a reqres-style pagination envelope. Each expected value may be a
+ * number (exact match) or `true` (must be present as a number). The `data`
+ * array is always required to exist.
+ *
+ * @param {Object} expected - Any of page, perPage, total, totalPages, minItems
+ * @returns {Object} - Named checks
+ */
+export function pagination(expected = {}) {
+  const fields = {
+    page: 'page',
+    perPage: 'per_page',
+    total: 'total',
+    totalPages: 'total_pages',
+  };
+  const checks = {};
+
+  Object.keys(fields).forEach((key) => {
+    const field = fields[key];
+    const value = expected[key];
+    if (value === undefined) {
+      return;
+    }
+    if (value === true) {
+      checks[`${field} is present`] = (r) => typeof getPath(parseJson(r), field) === 'number';
+    } else {
+      checks[`${field} is ${value}`] = (r) => getPath(parseJson(r), field) === value;
+    }
+  });
+
+  checks['data is an array'] = (r) => Array.isArray(getPath(parseJson(r), 'data'));
+  if (expected.minItems !== undefined) {
+    checks[`data has at least ${expected.minItems} item(s)`] = (r) => {
+      const data = getPath(parseJson(r), 'data');
+      return Array.isArray(data) && data.length >= expected.minItems;
+    };
+  }
+  return checks;
+}
+
+/**
+ * Checks the object at a path (or every item for `[]` paths) has all fields.
+ *
+ * @param {string} path - Object path, e.g. `data` or `data[]`
+ * @param {Array<string>} fields - Field names that must not be undefined
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function requiredFields(path, fields, name) {
+  return {
+    [name || `${path || 'body'} has fields ${fields.join(', ')}`]: (r) => testPath(r, path, (item) =>
+      item !== null && typeof item === 'object' && fields.every((field) => item[field] !== undefined)
+    ),
+  };
+}
+
+/**
+ * Checks the value at a path equals an expected value (deep for objects).
+ *
+ * @param {string} path - Value path
+ * @param {*} expected - Expected value
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function fieldEquals(path, expected, name) {
+  return {
+    [name || `${path} is ${JSON.stringify(expected)}`]: (r) => testPath(r, path, (value) => sameValue(value, expected)),
+  };
+}
+
+// A copy without the `g` and `y` flags: with them, test() resumes at lastIndex
+// and the same value would alternately pass and fail
+function statelessPattern(pattern) {
+  return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+}
+
+/**
+ * Checks the value at a path (or every value for `[]` paths) matches a regex.
+ *
+ * @param {string} path - Value path
+ * @param {RegExp} pattern - Pattern to test against the string value
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function fieldMatches(path, pattern, name) {
+  const regex = statelessPattern(pattern);
+  return {
+    [name || `${path} matches ${pattern}`]: (r) => testPath(r, path, (value) =>
+      typeof value === 'string' && regex.test(value)
+    ),
+  };
+}
+
+/**
+ * Checks the array at a path contains an item with all the given field values.
+ *
+ * @param {string} path - Array path
+ * @param {Object} fields - Field values the item must have
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function containsItem(path, fields, name) {
+  return {
+    [name || `${path} contains ${JSON.stringify(fields)}`]: (r) => testPath(r, path, (list) =>
+      Array.isArray(list) && list.some((item) =>
+        item !== null && Object.keys(fields).every((key) => sameValue(item[key], fields[key]))
+      )
+    ),
+  };
+}
+
+/**
+ * Checks a response header matches a regex (header lookup is case-insensitive).
+ *
+ * @param {string} header - Header name
+ * @param {RegExp} pattern - Pattern to test against the header value
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function headerMatches(header, pattern, name) {
+  const regex = statelessPattern(pattern);
+  return {
+    [name || `${header} header matches ${pattern}`]: (r) => {
+      const key = Object.keys(r.headers || {}).find((h) => h.toLowerCase() === header.toLowerCase());
+      return key !== undefined && regex.test(r.headers[key]);
+    },
+  };
+}
+
+/**
+ * Merges check sets into a single object, throwing on duplicate names.
+ *
+ * @param {Array<Object>} checkSets - Objects returned by the builders above
+ * @returns {Object} - Merged checks
+ */
+export function mergeChecks(checkSets) {
+  const merged = {};
+  checkSets.forEach((set) => {
+    Object.keys(set).forEach((name) => {
+      if (merged[name] !== undefined) {
+        throw new Error(`Duplicate check name "${name}"`);
+      }
+      merged[name] = set[name];
+    });
+  });
+  return merged;
+}
+
+/**
+ * Runs a list of check sets against a response in a single `check()` call.
+ *
+ * @param {Object} response - k6 http response
+ * @param {Array<Object>} checkSets - Objects returned by the builders above
+ * @param {Object} [tags] - Extra tags for the check metrics
+ * @returns {boolean} - True if every check passed
+ */
+export function checkResponse(response, checkSets, tags) {
+  return check(response, mergeChecks(checkSets), tags);
+}
@@ -0,0 +1,190 @@
+/**
+ * Circuit Breaker
+ *
+ * Circuit breaker pattern keyed per operation or endpoint, to stop sending
+ * requests to a failing dependency and let it recover:
+ *
+ *   closed ──(failureThreshold consecutive failures)──> open
+ *   open ──(resetTimeoutSeconds elapsed)──> half-open
+ *   half-open ──(halfOpenProbes successful probes)──> closed
+ *   half-open ──(any probe fails)──> open
+ *
+ * In the half-open state only `halfOpenProbes` calls are let through; other
+ * calls are short-circuited until the probes have reported back.
+ *
+ * State is per VU, like every module-level variable in k6.
+ *
+ * Metrics (tagged with `circuit`):
+ * - circuit_transitions     state changes, additionally tagged with `from` and `to`
+ * - circuit_short_circuited calls rejected without sending a request
+ * - circuit_open_seconds    time spent tripped (open or half-open)
+ */
+
+import { Counter } from 'k6/metrics';
+import { createLogger } from './logger.js';
+
+const transitions = new Counter('circuit_transitions');
+const shortCircuited = new Counter('circuit_short_circuited');
+const openSeconds = new Counter('circuit_open_seconds');
+
+const log = createLogger('circuit');
+
+export const CLOSED = 'closed';
+export const OPEN = 'open';
+export const HALF_OPEN = 'half-open';
+
+const DEFAULTS = {
+  failureThreshold: 5,
+  resetTimeoutSeconds: 30,
+  halfOpenProbes: 1,
+};
+
+/**
+ * Creates a set of circuit breakers sharing default settings.
+ *
+ * @param {Object} [defaults] - failureThreshold, resetTimeoutSeconds, halfOpenProbes
+ * @param {Object} [perCircuit] - Settings overriding the defaults, keyed by circuit name
+ * @returns {Object} - Breaker API: allow(), record(), state()
+ */
+export function createCircuitBreaker(defaults = {}, perCircuit = {}) {
+  const circuits = {};
+
+  function settingsFor(name) {
+    return { ...DEFAULTS, ...defaults, ...perCircuit[name] };
+  }
+
+  function circuitFor(name) {
+    if (!circuits[name]) {
+      circuits[name] = {
+        state: CLOSED,
+        failures: 0,
+        openedAt: null,
+        accountedAt: null,
+        probesAllowed: 0,
+        probeSuccesses: 0,
+      };
+    }
+    return circuits[name];
+  }
+
+  // Adds the tripped time since the last accounting to circuit_open_seconds
+  function accountOpenTime(name, circuit, now) {
+    if (circuit.state !== CLOSED && circuit.accountedAt !== null) {
+      openSeconds.add((now - circuit.accountedAt) / 1000, { circuit: name });
+      circuit.accountedAt = now;
+    }
+  }
+
+  function transition(name, circuit, to, now) {
+    accountOpenTime(name, circuit, now);
+    transitions.add(1, { circuit: name, from: circuit.state, to });
+
+    if (to === OPEN) {
+      circuit.openedAt = now;
+      circuit.probesAllowed = 0;
+      circuit.probeSuccesses = 0;
+      if (circuit.state === CLOSED) {
+        circuit.accountedAt = now;
+      }
+      const reason = circuit.state === HALF_OPEN ? 'a failed probe' : `${circuit.failures} consecutive failure(s)`;
+      log.error(`Circuit opened after ${reason}`, { circuit: name });
+    } else if (to === HALF_OPEN) {
+      circuit.probesAllowed = 0;
+      circuit.probeSuccesses = 0;
+      log.info('Circuit half-open: probing', { circuit: name });
+    } else {
+      circuit.failures = 0;
+      circuit.openedAt = null;
+      circuit.accountedAt = null;
+      log.info('Circuit closed', { circuit: name });
+    }
+    circuit.state = to;
+  }
+
+  return {
+    /**
+     * Whether a call for this circuit may proceed. Rejected calls are counted
+     * as short-circuited.
+     *
+     * @param {string} name - Circuit name, e.g. an operation or endpoint id
+     * @returns {boolean} - Whether to send the request
+     */
+    allow(name) {
+      const circuit = circuitFor(name);
+      const settings = settingsFor(name);
+      const now = Date.now();
+
+      if (circuit.state === OPEN && now - circuit.openedAt >= settings.resetTimeoutSeconds * 1000) {
+        transition(name, circuit, HALF_OPEN, now);
+      }
+      accountOpenTime(name, circuit, now);
+
+      if (circuit.state === CLOSED) {
+        return true;
+      }
+      if (circuit.state === HALF_OPEN && circuit.probesAllowed < settings.halfOpenProbes) {
+        circuit.probesAllowed++;
+        return true;
+      }
+
+      shortCircuited.add(1, { circuit: name });
+      return false;
+    },
+
+    /**
+     * Records the outcome of a call that allow() let through.
+     *
+     * @param {string} name - Circuit name
+     * @param {boolean} success - Whether the call succeeded
+     */
+    record(name, success) {
+      const circuit = circuitFor(name);
+      const settings = settingsFor(name);
+      const now = Date.now();
+
+      if (circuit.state === HALF_OPEN) {
+        if (!success) {
+          transition(name, circuit, OPEN, now);
+        } else if (++circuit.probeSuccesses >= settings.halfOpenProbes) {
+          transition(name, circuit, CLOSED, now);
+        }
+        return;
+      }
+
+      if (success) {
+        circuit.failures = 0;
+        return;
+      }
+      circuit.failures++;
+      if (circuit.state === CLOSED && circuit.failures >= settings.failureThreshold) {
+        transition(name, circuit, OPEN, now);
+      }
+    },
+
+    /**
+     * Current state of a circuit.
+     *
+     * @param {string} name - Circuit name
+     * @returns {string} - 'closed', 'open' or 'half-open'
+     */
+    state(name) {
+      return circuitFor(name).state;
+    },
+  };
+}
+
+/**
+ * Thresholds that make the summary list the breaker metrics per circuit
+ * (k6 only shows tagged sub-metrics that have thresholds).
+ *
+ * @param {Array<string>} names - Circuit names
+ * @returns {Object} - Always-passing thresholds keyed by tagged metric name
+ */
+export function circuitThresholds(names) {
+  const thresholds = {};
+  names.forEach((name) => {
+    thresholds[`circuit_open_seconds{circuit:${name}}`] = ['count>=0'];
+    thresholds[`circuit_short_circuited{circuit:${name}}`] = ['count>=0'];
+  });
+  return thresholds;
+}
@@ -0,0 +1,165 @@
+/**
+ * Script Configuration
+ *
+ * Resolves a script's settings from, in increasing priority:
+ * 1. the defaults in the script's schema
+ * 2. `config/<ENVIRONMENT>.json` (ENVIRONMENT defaults to staging): top-level
+ *    keys apply to every script, keys under `scripts.<name>` to one script
+ * 3. environment variables of the same name (`-e MAX_RETRIES=5`)
+ *
+ * Every value is converted and checked against its schema entry. All problems
+ * are reported together in one error thrown from the init context, so a typo
+ * such as `MAX_RETRIES=abc` stops the test before any traffic is sent.
+ *
+ * Schema entries:
+ *   { type: 'integer', default: 3, min: 0, max: 10 }
+ *   { type: 'enum', values: ['sequential', 'random'], default: 'random' }
+ *   { type: 'string', default: '', secret: true }   // masked by printConfig()
+ * Types: string, url, path, integer, number, boolean, enum. An entry without
+ * a default is required.
+ */
+
+import { createLogger } from './logger.js';
+
+export const DEFAULT_ENVIRONMENT = 'staging';
+
+const INTEGER = /^-?\d+$/;
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)$/;
+
+// Converts a raw value (string from __ENV, or JSON value from a file); returns { value } or { error }
+const TYPES = {
+  string: (raw) => (typeof raw === 'string' ? { value: raw } : { error: 'expected a string' }),
+  url: (raw) => (typeof raw === 'string' && /^https?:\/\/[^\s/]+/.test(raw)
+    ? { value: raw.replace(/\/+$/, '') }
+    : { error: 'expected an http(s) URL' }),
+  path: (raw) => (typeof raw === 'string' && raw.startsWith('/') ? { value: raw } : { error: 'expected a path starting with /' }),
+  integer: (raw) => {
+    const value = typeof raw === 'string' && INTEGER.test(raw.trim()) ? parseInt(raw, 10) : raw;
+    return Number.isInteger(value) ? { value } : { error: 'expected an integer' };
+  },
+  number: (raw) => {
+    const value = typeof raw === 'string' && NUMBER.test(raw.trim()) ? parseFloat(raw) : raw;
+    return typeof value === 'number' && Number.isFinite(value) ? { value } : { error: 'expected a number' };
+  },
+  boolean: (raw) => {
+    if (typeof raw === 'boolean') {
+      return { value: raw };
+    }
+    if (raw === 'true' || raw === 'false') {
+      return { value: raw === 'true' };
+    }
+    return { error: 'expected true or false' };
+  },
+  enum: (raw, spec) => (spec.values.includes(raw) ? { value: raw } : { error: `expected one of ${spec.values.join(', ')}` }),
+};
+
+/**
+ * Converts and range-checks one value.
+ *
+ * @param {*} raw - Value from the schema default, the environment file or __ENV
+ * @param {Object} spec - Schema entry
+ * @returns {Object} - { value } or { error }
+ */
+function coerce(raw, spec) {
+  const result = TYPES[spec.type](raw, spec);
+  if (result.error) {
+    return result;
+  }
+  if (spec.min !== undefined && result.value < spec.min) {
+    return { error: `must be at least ${spec.min}` };
+  }
+  if (spec.max !== undefined && result.value > spec.max) {
+    return { error: `must be at most ${spec.max}` };
+  }
+  return result;
+}
+
+/**
+ * Reads the environment file, naming the environment when it does not exist.
+ *
+ * @param {string} environment - Environment name
+ * @param {Function} readFile - Reads a file relative to the repository root
+ * @returns {Object} - Parsed file
+ */
+export function loadEnvironmentFile(environment, readFile) {
+  const path = `./config/${environment}.json`;
+  let text;
+  try {
+    text = readFile(path);
+  } catch (e) {
+    throw new Error(`Unknown environment "${environment}": ${path} could not be read`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${path} is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Resolves and validates a script's configuration. Must be called in the
+ * init context.
+ *
+ * @param {Object} settings - Configuration settings
+ * @param {string} settings.name - Script name, selecting `scripts.<name>` in the environment file
+ * @param {Object} settings.schema - Schema entries keyed by setting name
+ * @param {Function} settings.readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ * @returns {Object} - Frozen settings keyed by name, plus ENVIRONMENT
+ */
+export function loadConfig({ name, schema, readFile }) {
+  const environment = __ENV.ENVIRONMENT || DEFAULT_ENVIRONMENT;
+  const file = loadEnvironmentFile(environment, readFile);
+  const fileValues = { ...file, ...(file.scripts && file.scripts[name]) };
+
+  const config = { ENVIRONMENT: environment };
+  const problems = [];
+  Object.keys(schema).forEach((key) => {
+    const spec = schema[key];
+    if (!TYPES[spec.type]) {
+      throw new Error(`Config schema for ${key}: unknown type "${spec.type}"`);
+    }
+
+    let raw = spec.default;
+    let source = 'default';
+    if (fileValues[key] !== undefined) {
+      raw = fileValues[key];
+      source = `config/${environment}.json`;
+    }
+    if (__ENV[key] !== undefined) {
+      raw = __ENV[key];
+      source = 'environment variable';
+    }
+
+    if (raw === undefined) {
+      problems.push(`${key}: required, set it in config/${environment}.json or with -e ${key}=...`);
+      return;
+    }
+    const result = coerce(raw, spec);
+    if (result.error) {
+      const shown = spec.secret ? '(hidden)' : JSON.stringify(raw);
+      problems.push(`${key}: ${result.error}, got ${shown} from ${source}`);
+      return;
+    }
+    config[key] = result.value;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration for ${name} (environment ${environment}):\n  ${problems.join('\n  ')}`);
+  }
+  return Object.freeze(config);
+}
+
+/**
+ * Logs the resolved configuration, masking secret values.
+ *
+ * @param {Object} config - Result of loadConfig()
+ * @param {Object} schema - The schema passed to loadConfig()
+ */
+export function printConfig(config, schema) {
+  const shown = {};
+  Object.keys(config).forEach((key) => {
+    const value = config[key];
+    shown[key] = schema[key] && schema[key].secret && value !== '' ? '********' : value;
+  });
+  createLogger('config').info('Resolved configuration', { config: shown });
+}
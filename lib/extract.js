@@ -0,0 +1,99 @@
+/**
+ * Response Value Extraction
+ *
+ * Pulls values out of a response so later requests can use them, e.g. an id
+ * from a list that the next step fetches, updates and deletes. Extracted
+ * values are stored under their `as` name and rendered into later paths,
+ * headers and bodies with `{{name}}` placeholders (see template.js).
+ *
+ * Extractor definitions:
+ *   { "as": "userId", "from": "json", "path": "data[].id", "pick": "random" }
+ *   { "as": "contentType", "from": "header", "header": "Content-Type" }
+ *   { "as": "domain", "from": "regex", "pattern": "@([\\w.]+)\"", "flags": "i", "group": 1 }
+ *
+ * `pick` applies when a path fans out over an array: "first" (default),
+ * "last", "random" or "all" (the whole array).
+ */
+
+import { parseJson, getPath } from './checks.js';
+
+const PICKS = {
+  first: (values) => values[0],
+  last: (values) => values[values.length - 1],
+  random: (values) => values[Math.floor(Math.random() * values.length)],
+  all: (values) => values,
+};
+
+function headerValue(response, name) {
+  const key = Object.keys(response.headers || {}).find((h) => h.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : response.headers[key];
+}
+
+// Maps extractor `from` values to functions reading the value from a response
+const SOURCES = {
+  json: (extractor) => {
+    const pick = PICKS[extractor.pick || 'first'];
+    if (!pick) {
+      throw new Error(`Extractor "${extractor.as}": unknown pick "${extractor.pick}"`);
+    }
+    return (response) => {
+      const value = getPath(parseJson(response), extractor.path || '');
+      if (!Array.isArray(value) || !extractor.path || !extractor.path.includes('[]')) {
+        return value;
+      }
+      const found = value.filter((item) => item !== undefined);
+      return found.length === 0 ? undefined : pick(found);
+    };
+  },
+  header: (extractor) => (response) => headerValue(response, extractor.header),
+  regex: (extractor) => {
+    const pattern = new RegExp(extractor.pattern, extractor.flags);
+    const group = extractor.group === undefined ? 1 : extractor.group;
+    return (response) => {
+      const match = pattern.exec(response.body || '');
+      return match ? match[group] : undefined;
+    };
+  },
+};
+
+/**
+ * Validates extractor definitions and compiles them into functions. Call in
+ * the init context so a broken definition aborts the test before it starts.
+ *
+ * @param {Array<Object>} extractors - Extractor definitions
+ * @param {string} label - Owner of the definitions, for error messages
+ * @returns {Array<Object>} - Compiled extractors: { as, read(response) }
+ */
+export function compileExtractors(extractors, label) {
+  return (extractors || []).map((extractor) => {
+    if (!extractor.as) {
+      throw new Error(`${label}: every extractor needs an "as" name`);
+    }
+    const source = SOURCES[extractor.from];
+    if (!source) {
+      throw new Error(`${label}: extractor "${extractor.as}" has unknown source "${extractor.from}"`);
+    }
+    return { as: extractor.as, read: source(extractor) };
+  });
+}
+
+/**
+ * Applies compiled extractors to a response.
+ *
+ * @param {Object} response - k6 http response
+ * @param {Array<Object>} extractors - Result of compileExtractors()
+ * @returns {Object} - { values, missing }: extracted values by name and the names not found
+ */
+export function extractValues(response, extractors) {
+  const values = {};
+  const missing = [];
+  extractors.forEach((extractor) => {
+    const value = extractor.read(response);
+    if (value === undefined || value === null) {
+      missing.push(extractor.as);
+    } else {
+      values[extractor.as] = value;
+    }
+  });
+  return { values, missing };
+}
@@ -0,0 +1,215 @@
+/**
+ * Test Data Feeds
+ *
+ * Loads rows (credentials, query parameters, ...) from CSV or JSON files into
+ * a SharedArray, so every VU reads the same copy instead of holding its own,
+ * and hands them out with an allocation strategy:
+ *
+ * - sequential  each VU walks the rows in order, starting at its own offset
+ * - random      any row, picked at random on every call
+ * - unique      every row is used once across the test: per iteration
+ *               (scope 'iteration') or per VU (scope 'vu')
+ *
+ * When a unique feed runs out of rows it warns once per VU and then either
+ * starts over ('cycle', the default) or returns null ('stop').
+ *
+ * CSV files need a header row; values that look like numbers or booleans are
+ * converted. JSON files hold an array of objects.
+ */
+
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { createLogger } from './logger.js';
+
+export const STRATEGIES = ['sequential', 'random', 'unique'];
+
+const log = createLogger('feed');
+
+// Values converted to numbers, like papaparse's dynamicTyping
+const NUMBER = /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+function typedValue(value) {
+  if (value === 'true' || value === 'TRUE') {
+    return true;
+  }
+  if (value === 'false' || value === 'FALSE') {
+    return false;
+  }
+  if (NUMBER.test(value)) {
+    return parseFloat(value);
+  }
+  return value === '' ? null : value;
+}
+
+/**
+ * Splits CSV text into records of fields (RFC 4180: quoted fields may hold
+ * commas, line breaks and doubled quotes).
+ *
+ * @param {string} path - File path for error messages
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records, including empty ones
+ */
+function csvRecords(path, text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Data file ${path}: unterminated quoted field (row ${records.length})`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Parses CSV text with a header row into objects, skipping empty lines.
+ *
+ * @param {string} path - File path for error messages
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Rows keyed by the header's column names
+ */
+export function parseCsv(path, text) {
+  const records = csvRecords(path, text.replace(/^\uFEFF/, ''))
+    .filter((record) => !(record.length === 1 && record[0] === ''));
+  if (records.length === 0) {
+    return [];
+  }
+  const header = records[0];
+  return records.slice(1).map((record, index) => {
+    if (record.length !== header.length) {
+      throw new Error(`Data file ${path}: expected ${header.length} fields but found ${record.length} (row ${index})`);
+    }
+    return header.reduce((row, column, i) => ({ ...row, [column]: typedValue(record[i]) }), {});
+  });
+}
+
+/**
+ * Parses the rows of a CSV or JSON data file, chosen by file extension.
+ *
+ * @param {string} path - File path, used for the extension and error messages
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Rows
+ */
+export function parseRows(path, text) {
+  if (/\.csv$/i.test(path)) {
+    return parseCsv(path, text);
+  }
+  if (/\.json$/i.test(path)) {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error(`Data file ${path} must contain a JSON array`);
+    }
+    return rows;
+  }
+  throw new Error(`Data file ${path}: unsupported format, use .csv or .json`);
+}
+
+/**
+ * Loads a data file into a SharedArray. Must be called in the init context.
+ *
+ * @param {string} name - SharedArray name, unique per script
+ * @param {string} path - CSV or JSON file path
+ * @param {Function} readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ * @returns {SharedArray} - Read-only rows
+ */
+export function loadRows(name, path, readFile) {
+  return new SharedArray(name, function () {
+    const rows = parseRows(path, readFile(path));
+    if (rows.length === 0) {
+      throw new Error(`Data file ${path} contains no rows`);
+    }
+    return rows;
+  });
+}
+
+/**
+ * Creates a feed handing out rows with an allocation strategy.
+ *
+ * @param {Array<Object>} rows - Rows, e.g. from loadRows()
+ * @param {Object} [config] - Feed settings
+ * @param {string} [config.name] - Name used in warnings
+ * @param {string} [config.strategy] - 'sequential', 'random' or 'unique'
+ * @param {string} [config.scope] - For 'unique': 'iteration' (default) or 'vu'
+ * @param {string} [config.whenExhausted] - For 'unique': 'cycle' (default) or 'stop'
+ * @returns {Object} - Feed with next() and size
+ */
+export function createFeed(rows, { name = 'feed', strategy = 'sequential', scope = 'iteration', whenExhausted = 'cycle' } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Feed "${name}": unknown strategy "${strategy}", expected one of ${STRATEGIES.join(', ')}`);
+  }
+  if (!['iteration', 'vu'].includes(scope)) {
+    throw new Error(`Feed "${name}": unknown scope "${scope}", expected iteration or vu`);
+  }
+  if (!['cycle', 'stop'].includes(whenExhausted)) {
+    throw new Error(`Feed "${name}": unknown whenExhausted "${whenExhausted}", expected cycle or stop`);
+  }
+
+  // Per-VU state, like every module-level value in k6
+  let position = 0;
+  let warned = false;
+
+  function uniqueIndex() {
+    const index = scope === 'vu' ? exec.vu.idInTest - 1 : exec.scenario.iterationInTest;
+    if (index < rows.length) {
+      return index;
+    }
+    if (!warned) {
+      warned = true;
+      const action = whenExhausted === 'cycle' ? 'reusing rows from the start' : 'no more rows are handed out';
+      log.warn(`Feed exhausted; ${action}`, { feed: name, rows: rows.length, scope, needed: index + 1 });
+    }
+    return whenExhausted === 'cycle' ? index % rows.length : null;
+  }
+
+  return {
+    size: rows.length,
+
+    /**
+     * Returns the next row for the calling VU.
+     *
+     * @returns {Object|null} - Row, or null when a 'stop' feed is exhausted
+     */
+    next() {
+      if (strategy === 'random') {
+        return rows[Math.floor(Math.random() * rows.length)];
+      }
+      if (strategy === 'unique') {
+        const index = uniqueIndex();
+        return index === null ? null : rows[index];
+      }
+      const offset = exec.vu.idInTest - 1;
+      return rows[(offset + position++) % rows.length];
+    },
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * GraphQL Operations
+ *
+ * GraphQL servers answer most failures with status 200 and an `errors` array
+ * next to (possibly partial) `data`, so a status check alone passes broken
+ * responses. Operations defined here are checked on both:
+ *
+ *   const client = createGraphQLClient({ url: `${BASE_URL}/graphql` });
+ *   const getUser = client.operation(`
+ *     query GetUser($id: Int!) { user(id: $id) { id email } }
+ *   `, {
+ *     checks: [requiredFields('data.user', ['id', 'email'])],
+ *     slo: { latency: { thresholdMs: 300, target: 0.95 } },
+ *   });
+ *   const { data, errors, passed } = getUser.run({ id: 2 });
+ *
+ * Every operation must be named: the name becomes the `endpoint` tag
+ * (`/graphql/GetUser`), because all operations share one URL and would
+ * otherwise be indistinguishable in thresholds and reports. An operation is
+ * checked for status 200 and an empty `errors` array, or, with `expectErrors`,
+ * for errors carrying the listed `extensions.code` values (e.g. a NOT_FOUND
+ * scenario). The checks of lib/checks.js work on GraphQL responses as they are:
+ * paths simply start at `data`.
+ *
+ * Metrics, tagged with `endpoint`, shared with the REST scripts:
+ * - request_duration  response time
+ * - errors            rate of failed operations (bad status or unexpected errors)
+ * - graphql_errors    errors returned in the `errors` array, also tagged with `code`
+ */
+
+import http from 'k6/http';
+import { Counter } from 'k6/metrics';
+import { checkResponse, mergeChecks, parseJson, status, validJson } from './checks.js';
+import { createRetryPolicy } from './retry.js';
+import { compileSlo, recordSlo } from './slo.js';
+import { requestDuration, errorRate } from './metrics.js';
+
+const graphqlErrors = new Counter('graphql_errors');
+
+// Operation type and name at the start of a document, after any comments
+const OPERATION = /^\s*(?:#[^\n]*\s*)*(query|mutation|subscription)\s+([_A-Za-z]\w*)/;
+
+// Errors without an extensions.code are counted under this code
+const UNKNOWN_CODE = 'UNKNOWN';
+
+function errorCodes(response) {
+  const body = parseJson(response);
+  if (!body || !Array.isArray(body.errors)) {
+    return [];
+  }
+  return body.errors.map((error) => (error && error.extensions && error.extensions.code) || UNKNOWN_CODE);
+}
+
+/**
+ * Checks the response has no `errors` array (or an empty one).
+ *
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function noGraphQLErrors(name) {
+  return {
+    [name || 'no GraphQL errors']: (r) => {
+      const body = parseJson(r);
+      return body !== undefined && body !== null && (body.errors === undefined || (Array.isArray(body.errors) && body.errors.length === 0));
+    },
+  };
+}
+
+/**
+ * Checks the `errors` array holds an error with each of the given codes
+ * (`extensions.code`), and no other codes.
+ *
+ * @param {string|Array<string>} codes - Expected error code(s)
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function graphQLErrors(codes, name) {
+  const expected = Array.isArray(codes) ? codes : [codes];
+  return {
+    [name || `GraphQL errors are ${expected.join(', ')}`]: (r) => {
+      const actual = errorCodes(r);
+      return actual.length > 0 && expected.every((code) => actual.includes(code)) && actual.every((code) => expected.includes(code));
+    },
+  };
+}
+
+/**
+ * Reads the operation type and name of a document.
+ *
+ * @param {string} document - GraphQL document
+ * @returns {Object} - { type: 'query'|'mutation'|'subscription', name }
+ */
+export function operationInfo(document) {
+  const match = OPERATION.exec(document);
+  if (!match) {
+    throw new Error(`GraphQL operation must start with "query <Name>" or "mutation <Name>": ${document.trim().substring(0, 60)}`);
+  }
+  return { type: match[1], name: match[2] };
+}
+
+/**
+ * Creates a client for one GraphQL endpoint. Call in the init context.
+ *
+ * @param {Object} options - Client options
+ * @param {string} options.url - Full endpoint URL, e.g. http://127.0.0.1:3000/graphql
+ * @param {Object} [options.headers] - Headers sent with every operation
+ * @param {Object} [options.retry] - createRetryPolicy() options
+ * @param {string} [options.endpointPrefix] - Prefix of the `endpoint` tag (default: the URL's path)
+ * @returns {Object} - Client with operation()
+ */
+export function createGraphQLClient({ url, headers = {}, retry = {}, endpointPrefix }) {
+  const prefix = endpointPrefix === undefined ? url.replace(/^\w+:\/\/[^/]*/, '').replace(/\/$/, '') : endpointPrefix;
+  const retryPolicy = createRetryPolicy(retry);
+  const names = {};
+
+  /**
+   * Defines an operation. Everything that can be wrong with the definition is
+   * reported here, before any traffic is sent.
+   *
+   * @param {string} document - GraphQL document with one named query or mutation
+   * @param {Object} [options] - Operation options
+   * @param {Array<Object>} [options.checks] - Extra check sets from lib/checks.js
+   * @param {string|Array<string>} [options.expectErrors] - Error codes this operation is expected to return
+   * @param {Object} [options.slo] - SLO definition (see slo.js)
+   * @param {Object} [options.tags] - Extra tags for requests, checks and metrics
+   * @returns {Object} - { endpoint, type, slo, run(variables) }
+   */
+  function operation(document, options = {}) {
+    const info = operationInfo(document);
+    if (info.type === 'subscription') {
+      throw new Error(`GraphQL operation ${info.name}: subscriptions are not sent over HTTP, use lib/websocket.js`);
+    }
+    if (names[info.name]) {
+      throw new Error(`GraphQL operation ${info.name} is defined twice`);
+    }
+    names[info.name] = true;
+
+    const endpoint = `${prefix}/${info.name}`;
+    const tags = { endpoint, ...options.tags };
+    const expectedCodes = options.expectErrors === undefined ? [] : [].concat(options.expectErrors);
+    const checks = [
+      status(200),
+      validJson(),
+      expectedCodes.length > 0 ? graphQLErrors(expectedCodes) : noGraphQLErrors(),
+      ...(options.checks || []),
+    ];
+    // Duplicate check names fail here rather than during the run
+    mergeChecks(checks);
+    const slo = compileSlo(options.slo, `GraphQL operation ${info.name} SLO`);
+
+    /**
+     * Sends the operation.
+     *
+     * @param {Object} [variables] - Operation variables
+     * @returns {Object} - { response, data, errors, passed }
+     */
+    function run(variables = {}) {
+      const body = JSON.stringify({ query: document, variables, operationName: info.name });
+      const response = retryPolicy.request('POST', url, body, {
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+        tags,
+        responseCallback: http.expectedStatuses(200),
+      });
+
+      const checksPassed = checkResponse(response, checks, tags);
+      const parsed = parseJson(response) || {};
+      const codes = errorCodes(response);
+      codes.forEach((code) => graphqlErrors.add(1, { ...tags, code }));
+
+      // An expected error (e.g. NOT_FOUND) is a correct answer, not a failure
+      const ok = response.status === 200 && codes.every((code) => expectedCodes.includes(code));
+      requestDuration.add(response.timings.duration, tags);
+      errorRate.add(!ok, tags);
+      recordSlo(endpoint, slo, { durationMs: response.timings.duration, ok });
+
+      return {
+        response,
+        data: parsed.data === undefined ? null : parsed.data,
+        errors: Array.isArray(parsed.errors) ? parsed.errors : [],
+        passed: ok && checksPassed,
+      };
+    }
+
+    return { endpoint, type: info.type, slo, run };
+  }
+
+  return { operation };
+}
@@ -0,0 +1,153 @@
+/**
+ * Target Safety Guard
+ *
+ * Refuses to start a test that would send load somewhere it should not, using
+ * the `safety` section of `config/<ENVIRONMENT>.json`:
+ *
+ *   "safety": {
+ *     "allowedHosts": ["*.example.com"],   // BASE_URL host must match one (or publicHosts)
+ *     "maxVUs": 20,                        // peak VUs over all scenarios
+ *     "maxRate": 20,                       // peak arrival rate, iterations/s
+ *     "publicHosts": ["reqres.in"],        // third-party hosts, allowed only at smoke-test load:
+ *     "publicMaxVUs": 1,                   //   peak VUs (default 1)
+ *     "publicMaxRate": 1,                  //   peak arrival rate (default 1)
+ *     "production": true,                  // see below
+ *     "confirmAboveVUs": 1,                // production load that needs no confirmation (default 1)
+ *     "confirmAboveRate": 1                //   and its arrival rate (default 1)
+ *   }
+ *
+ * A script can have its own section under `scripts.<name>.safety`, which
+ * replaces the environment's, e.g. for an example that only has a local
+ * stand-in.
+ *
+ * A production environment additionally requires `-e CONFIRM_PRODUCTION=<host>`
+ * when the peak load exceeds confirmAboveVUs or confirmAboveRate, so a run
+ * heavier than a smoke test has to name the host it is about to load.
+ *
+ * The load is computed from the exported options. Overrides given on the k6
+ * command line (`--vus`, `--duration`, `--stage`, ...) are applied by k6 after
+ * the script is evaluated and are not seen by the guard.
+ *
+ * `guardTarget` throws in the init context, so a violation stops k6 before
+ * setup() or any VU sends a request.
+ */
+
+import { loadEnvironmentFile } from './config.js';
+
+/**
+ * Extracts the host name from an http(s) URL.
+ *
+ * @param {string} url - URL
+ * @returns {string} - Lower-case host name without port
+ */
+export function hostOf(url) {
+  const match = /^https?:\/\/([^/:?#]+)/i.exec(url);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Whether a host matches an allowlist entry; `*.example.com` matches any
+ * subdomain of example.com.
+ *
+ * @param {string} host - Host name
+ * @param {string} pattern - Allowlist entry
+ * @returns {boolean} - Whether the host is allowed by the entry
+ */
+export function hostMatches(host, pattern) {
+  const entry = pattern.toLowerCase();
+  if (entry.startsWith('*.')) {
+    return host.endsWith(entry.slice(1));
+  }
+  return host === entry;
+}
+
+// Converts a k6 duration such as '1s' or '2m' to seconds
+function durationSeconds(duration) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(duration || '1s'));
+  if (!match) {
+    return 1;
+  }
+  return parseFloat(match[1]) * { ms: 0.001, s: 1, m: 60, h: 3600 }[match[2]];
+}
+
+/**
+ * Computes the peak load of k6 options: VUs summed over all scenarios (they
+ * may run concurrently) and the highest per-second arrival rate.
+ *
+ * @param {Object} options - k6 options with `scenarios`, or top-level vus/stages
+ * @returns {Object} - { vus, rate }
+ */
+export function peakLoad(options) {
+  const scenarios = options.scenarios ? Object.values(options.scenarios) : [{ ...options, executor: 'ramping-vus' }];
+  let vus = 0;
+  let rate = 0;
+
+  scenarios.forEach((scenario) => {
+    const stageTargets = (scenario.stages || []).map((stage) => stage.target);
+    if (/arrival-rate/.test(scenario.executor || '')) {
+      const perSecond = 1 / durationSeconds(scenario.timeUnit);
+      const peakRate = Math.max(scenario.rate || 0, scenario.startRate || 0, ...stageTargets);
+      rate = Math.max(rate, peakRate * perSecond);
+      vus += Math.max(scenario.maxVUs || 0, scenario.preAllocatedVUs || 0);
+    } else {
+      vus += Math.max(scenario.vus || 0, scenario.startVUs || 0, ...stageTargets);
+    }
+  });
+
+  return { vus, rate };
+}
+
+/**
+ * Aborts the test when the target or the load is not allowed for the
+ * environment. Call at module level, after `options` is built.
+ *
+ * @param {Object} settings - Guard settings
+ * @param {string} settings.environment - Environment name (CONFIG.ENVIRONMENT)
+ * @param {string} [settings.name] - Script name, selecting `scripts.<name>.safety`
+ * @param {string} settings.baseURL - Target base URL
+ * @param {Object} settings.options - The script's exported k6 options
+ * @param {Function} settings.readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ */
+export function guardTarget({ environment, name, baseURL, options, readFile }) {
+  const file = loadEnvironmentFile(environment, readFile);
+  const safety = (name && file.scripts && file.scripts[name] && file.scripts[name].safety) || file.safety;
+  if (!safety || !Array.isArray(safety.allowedHosts)) {
+    throw new Error(`config/${environment}.json has no safety.allowedHosts; refusing to run without an allowlist`);
+  }
+
+  const host = hostOf(baseURL);
+  const publicHosts = safety.publicHosts || [];
+  const isPublic = publicHosts.some((pattern) => hostMatches(host, pattern));
+  const problems = [];
+  if (!isPublic && !safety.allowedHosts.some((pattern) => hostMatches(host, pattern))) {
+    problems.push(`host "${host}" is not in the allowlist for ${environment} (${safety.allowedHosts.concat(publicHosts).join(', ')})`);
+  }
+
+  const peak = peakLoad(options);
+  if (safety.maxVUs !== undefined && peak.vus > safety.maxVUs) {
+    problems.push(`peak of ${peak.vus} VUs exceeds the ${environment} cap of ${safety.maxVUs}`);
+  }
+  if (safety.maxRate !== undefined && peak.rate > safety.maxRate) {
+    problems.push(`peak rate of ${peak.rate} iterations/s exceeds the ${environment} cap of ${safety.maxRate}`);
+  }
+
+  // Third-party hosts are not ours to load test
+  if (isPublic) {
+    const maxVUs = safety.publicMaxVUs === undefined ? 1 : safety.publicMaxVUs;
+    const maxRate = safety.publicMaxRate === undefined ? 1 : safety.publicMaxRate;
+    if (peak.vus > maxVUs || peak.rate > maxRate) {
+      problems.push(`"${host}" is a public host; its load is capped at ${maxVUs} VUs and ${maxRate} iterations/s (peak: ${peak.vus} VUs, ${peak.rate} iterations/s), e.g. -e PROFILE=smoke`);
+    }
+  }
+
+  const confirmAboveVUs = safety.confirmAboveVUs === undefined ? 1 : safety.confirmAboveVUs;
+  const confirmAboveRate = safety.confirmAboveRate === undefined ? 1 : safety.confirmAboveRate;
+  const heavy = peak.vus > confirmAboveVUs || peak.rate > confirmAboveRate;
+  if (safety.production && heavy && __ENV.CONFIRM_PRODUCTION !== host) {
+    problems.push(`${environment} is a production environment; a peak of ${peak.vus} VUs and ${peak.rate} iterations/s requires -e CONFIRM_PRODUCTION=${host}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Safety guard stopped the test:\n  ${problems.join('\n  ')}`);
+  }
+}
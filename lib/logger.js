@@ -0,0 +1,244 @@
+/**
+ * Structured Logging
+ *
+ * Writes one JSON object per line instead of free-form console text, so logs
+ * of a run with many VUs can be filtered and aggregated:
+ *
+ *   {"time":"...","level":"warn","logger":"login","msg":"Login failed",
+ *    "vu":3,"iteration":12,"scenario":"login_flow",
+ *    "requestId":"...","endpoint":"/login","status":401}
+ *
+ * - `LOG_LEVEL` (debug, info, warn, error) drops everything below it
+ * - warnings and errors, which multiply with the load when the target fails,
+ *   are sampled: only a `LOG_SAMPLE_RATE` share of them is considered, and at
+ *   most `LOG_MAX_PER_SECOND` per VU are written. The next line written
+ *   reports how many were dropped in `suppressed`, and the total is counted
+ *   in the `log_messages_suppressed` metric
+ * - passwords, tokens, secrets, API keys, cookies and Authorization headers
+ *   are replaced by [REDACTED] wherever they appear in the fields, including
+ *   inside string values such as a response body; e-mail addresses in fields
+ *   keep only their first characters. The message gets the same free-text
+ *   redaction, but only fields are redacted by key name, so pass secrets and
+ *   request data as fields rather than interpolating them into the message
+ *
+ * Scripts add LOG_SCHEMA to their configuration schema and pass the resolved
+ * configuration to configureLogging() in the init context.
+ */
+
+import exec from 'k6/execution';
+import { Counter } from 'k6/metrics';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Configuration entries for lib/config.js, shared by every script
+export const LOG_SCHEMA = {
+  LOG_LEVEL: { type: 'enum', values: LEVELS, default: 'info' },
+  LOG_SAMPLE_RATE: { type: 'number', default: 1, min: 0, max: 1 },   // Share of warnings/errors considered
+  LOG_MAX_PER_SECOND: { type: 'integer', default: 5, min: 0 },       // Warnings/errors written per VU and second; 0 = no limit
+};
+
+const suppressedMessages = new Counter('log_messages_suppressed');
+
+const REDACTED = '[REDACTED]';
+const MAX_BODY_CHARS = 256;
+const SECRET_KEY = /pass(word)?|secret|token|authorization|api[-_]?key|cookie/i;
+const EMAIL_KEY = /e-?mail/i;
+
+// Secrets inside free text: auth schemes, JWTs and JSON, query string or `name: value` pairs with a secret name
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED],
+  [/("[\w-]*(?:pass(?:word)?|secret|token|api[-_]?key)[\w-]*"\s*:\s*)"[^"]*"/gi, `$1"${REDACTED}"`],
+  [/\b([\w-]*(?:pass(?:word)?|secret|token|api[-_]?key)[\w-]*(?:=|:\s*))[^&\s"]+/gi, `$1${REDACTED}`],
+];
+
+// Per-VU state, like every module-level value in k6
+const settings = { level: 'info', sampleRate: 1, maxPerSecond: 5 };
+const sampling = { windowStart: 0, written: 0, suppressed: 0 };
+
+/**
+ * Applies the logging settings of a script. Call in the init context.
+ *
+ * @param {Object} config - Resolved configuration containing the LOG_SCHEMA entries
+ */
+export function configureLogging(config) {
+  settings.level = config.LOG_LEVEL;
+  settings.sampleRate = config.LOG_SAMPLE_RATE;
+  settings.maxPerSecond = config.LOG_MAX_PER_SECOND;
+}
+
+/**
+ * Shortens an e-mail address to its first five characters.
+ *
+ * @param {string} email - E-mail address
+ * @returns {string} - Masked address, e.g. "loadt***"
+ */
+export function maskEmail(email) {
+  return `${String(email).substring(0, 5)}***`;
+}
+
+function redactText(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Numbers and flags under a secret-sounding name (TOKEN_REFRESH_MARGIN) and empty values are kept
+function isSecretValue(value) {
+  return typeof value === 'string' ? value !== '' : value !== null && typeof value === 'object';
+}
+
+/**
+ * Returns a copy of a value with secrets replaced, based on key names and on
+ * patterns in string values.
+ *
+ * @param {*} value - Value to redact
+ * @returns {*} - Redacted copy
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    if (SECRET_KEY.test(key) && isSecretValue(value[key])) {
+      result[key] = REDACTED;
+    } else if (EMAIL_KEY.test(key) && typeof value[key] === 'string') {
+      result[key] = maskEmail(value[key]);
+    } else {
+      result[key] = redact(value[key]);
+    }
+  });
+  return result;
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find((h) => h.toLowerCase() === name.toLowerCase());
+  if (key === undefined) {
+    return undefined;
+  }
+  // Request headers are lists in k6, response headers are strings
+  return [].concat(headers[key])[0];
+}
+
+/**
+ * Summarizes a response for a log line: endpoint, status, duration, the
+ * request's X-Request-ID and the start of the body, never the whole body.
+ *
+ * @param {Object} response - k6 http response
+ * @returns {Object} - Log fields
+ */
+export function responseFields(response) {
+  const request = response.request || {};
+  const body = typeof response.body === 'string' ? response.body : '';
+  const fields = {
+    endpoint: request.url || response.url,
+    status: response.status,
+    durationMs: response.timings ? Math.round(response.timings.duration) : undefined,
+    requestId: headerValue(request.headers, 'X-Request-ID') || headerValue(response.headers, 'X-Request-ID'),
+  };
+  if (response.error) {
+    fields.error = response.error;
+  }
+  if (body) {
+    fields.body = body.length > MAX_BODY_CHARS ? `${body.substring(0, MAX_BODY_CHARS)}... (${body.length} chars)` : body;
+  }
+  return fields;
+}
+
+// VU, iteration and scenario; parts are unavailable in the init context, setup() and teardown()
+function executionFields() {
+  const fields = {};
+  try {
+    fields.vu = exec.vu.idInTest;
+    fields.iteration = exec.vu.iterationInScenario;
+    fields.scenario = exec.scenario.name;
+  } catch (e) {
+    // Outside a scenario: keep what was available
+  }
+  return fields;
+}
+
+// Decides whether a warning or error is written, counting the ones that are not
+function sampled(level) {
+  if (settings.sampleRate < 1 && Math.random() >= settings.sampleRate) {
+    sampling.suppressed++;
+    suppressedMessages.add(1, { level });
+    return false;
+  }
+  if (settings.maxPerSecond === 0) {
+    return true;
+  }
+  const now = Date.now();
+  if (now - sampling.windowStart >= 1000) {
+    sampling.windowStart = now;
+    sampling.written = 0;
+  }
+  if (sampling.written >= settings.maxPerSecond) {
+    sampling.suppressed++;
+    suppressedMessages.add(1, { level });
+    return false;
+  }
+  sampling.written++;
+  return true;
+}
+
+const WRITERS = {
+  debug: (line) => console.log(line),
+  info: (line) => console.log(line),
+  warn: (line) => console.warn(line),
+  error: (line) => console.error(line),
+};
+
+/**
+ * Creates a logger. Its methods take a message and optional fields, which
+ * are added to the JSON line; both are redacted.
+ *
+ * @param {string} name - Logger name, written as `logger`
+ * @param {Object} [context] - Fields added to every line of this logger
+ * @returns {Object} - Logger with debug(), info(), warn(), error() and child()
+ */
+export function createLogger(name, context = {}) {
+  function write(level, msg, fields) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) {
+      return;
+    }
+    const isFailure = level === 'warn' || level === 'error';
+    if (isFailure && !sampled(level)) {
+      return;
+    }
+
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      logger: name,
+      msg: redact(msg),
+      ...executionFields(),
+      ...redact({ ...context, ...fields }),
+    };
+    if (isFailure && sampling.suppressed > 0) {
+      line.suppressed = sampling.suppressed;
+      sampling.suppressed = 0;
+    }
+    WRITERS[level](JSON.stringify(line));
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+
+    /**
+     * Creates a logger adding more fields to every line.
+     *
+     * @param {Object} fields - Additional context fields
+     * @returns {Object} - Logger
+     */
+    child: (fields) => createLogger(name, { ...context, ...fields }),
+  };
+}
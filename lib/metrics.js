@@ -0,0 +1,56 @@
+/**
+ * Shared Metrics
+ *
+ * Metrics that several modules record into are declared once, here, and
+ * imported where they are used. k6 rejects a metric name that is declared
+ * again with a different type or time flag, so a second `new Trend(...)` of
+ * the same name elsewhere is a startup error waiting to happen.
+ *
+ * - request_duration  response time of a request, tagged with `endpoint`
+ *   (plan runner, GET example, GraphQL operations)
+ * - errors            rate of failed requests or sessions, tagged with `endpoint`
+ *   (plan runner, GET example, GraphQL operations, WebSocket sessions)
+ *
+ * Rates are declared with `newRate()`, which records whether a higher value is
+ * better (a success rate) or worse (an error rate). The baseline comparison
+ * reads the direction from here, so a rate declared with a plain `new Rate()`
+ * is left out of the baseline instead of being gated the wrong way round.
+ */
+
+import { Rate, Trend } from 'k6/metrics';
+
+// Direction of each declared rate, including k6's built-in ones
+const higherIsBetter = {
+  checks: true,
+  http_req_failed: false,
+};
+
+/**
+ * Declares a Rate metric together with its direction. Call in the init context.
+ *
+ * @param {string} name - Metric name
+ * @param {Object} options - Rate options
+ * @param {boolean} options.higherIsBetter - true for success rates, false for error rates
+ * @returns {Rate} - The k6 Rate metric
+ */
+export function newRate(name, options) {
+  if (!options || typeof options.higherIsBetter !== 'boolean') {
+    throw new Error(`Rate ${name}: declare its direction with { higherIsBetter: true|false }`);
+  }
+  higherIsBetter[name] = options.higherIsBetter;
+  return new Rate(name);
+}
+
+/**
+ * Looks up the direction of a rate declared with newRate().
+ *
+ * @param {string} metric - Metric name, optionally with tags, e.g. `errors{endpoint:login}`
+ * @returns {boolean|undefined} - true if higher is better, false if lower is better, undefined if unknown
+ */
+export function rateDirection(metric) {
+  const name = metric.split('{')[0];
+  return Object.prototype.hasOwnProperty.call(higherIsBetter, name) ? higherIsBetter[name] : undefined;
+}
+
+export const requestDuration = new Trend('request_duration', true);
+export const errorRate = newRate('errors', { higherIsBetter: false });
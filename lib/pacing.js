@@ -0,0 +1,148 @@
+/**
+ * Think Time and Pacing
+ *
+ * One model for the pauses between requests and iterations, so every script
+ * and plan describes them the same way:
+ *
+ * Think time, the pause a user takes after a request or a page, is drawn
+ * from a distribution. Specs are written as a string (environment variables,
+ * plan files) or an object (plan files):
+ *   2  or  "fixed:2"          always 2 seconds
+ *   "uniform:1-3"             evenly spread between 1 and 3 seconds
+ *   "normal:2,0.5"            mean 2s, standard deviation 0.5s
+ *   "exponential:2"           mean 2s; many short pauses, a few long ones
+ *   { "type": "normal", "mean": 2, "stdDev": 0.5, "min": 0.5, "max": 5 }
+ * Samples never go below 0; the object form can clamp them with min/max.
+ *
+ * Constant pacing pads an iteration to a target duration instead, so the
+ * iteration rate stays the same however fast the target answers. An
+ * iteration that already took longer is not padded and counts as an overrun.
+ *
+ * Metrics:
+ * - think_time       every pause, tagged `pause: think` or `pause: pacing`
+ *                    (and with the group it was taken in); subtract it from
+ *                    iteration_duration to get the time spent on requests
+ * - pacing_overruns  rate of paced iterations that exceeded their target
+ */
+
+import { sleep } from 'k6';
+import { Trend } from 'k6/metrics';
+import { newRate } from './metrics.js';
+
+const thinkTime = new Trend('think_time', true);
+const pacingOverruns = newRate('pacing_overruns', { higherIsBetter: false });
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// Parses the string form into the object form
+const SHORTHANDS = [
+  [new RegExp(`^${NUMBER}$`), (m) => ({ type: 'fixed', seconds: Number(m[1]) })],
+  [new RegExp(`^fixed:${NUMBER}$`), (m) => ({ type: 'fixed', seconds: Number(m[1]) })],
+  [new RegExp(`^uniform:${NUMBER}-${NUMBER}$`), (m) => ({ type: 'uniform', min: Number(m[1]), max: Number(m[2]) })],
+  [new RegExp(`^normal:${NUMBER},${NUMBER}$`), (m) => ({ type: 'normal', mean: Number(m[1]), stdDev: Number(m[2]) })],
+  [new RegExp(`^exponential:${NUMBER}$`), (m) => ({ type: 'exponential', mean: Number(m[1]) })],
+];
+
+// Standard normal sample (Box-Muller)
+function standardNormal() {
+  const u1 = 1 - Math.random();
+  const u2 = Math.random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// Maps distribution types to { required settings, sampler }
+const DISTRIBUTIONS = {
+  fixed: { settings: ['seconds'], sample: (d) => d.seconds },
+  uniform: { settings: ['min', 'max'], sample: (d) => d.min + Math.random() * (d.max - d.min) },
+  normal: { settings: ['mean', 'stdDev'], sample: (d) => d.mean + d.stdDev * standardNormal() },
+  exponential: { settings: ['mean'], sample: (d) => -d.mean * Math.log(1 - Math.random()) },
+};
+
+/**
+ * Validates a think-time spec and compiles it into a sampler. Call in the
+ * init context so a typo fails the test before it starts.
+ *
+ * @param {number|string|Object|undefined} spec - Think-time spec, see above
+ * @param {string} label - Where the spec comes from, for error messages
+ * @returns {Object|null} - { description, sample() } returning seconds, or null for no think time
+ */
+export function compileThinkTime(spec, label) {
+  if (spec === undefined || spec === null || spec === 0 || spec === '' || spec === '0') {
+    return null;
+  }
+
+  let definition = spec;
+  if (typeof spec === 'number') {
+    definition = { type: 'fixed', seconds: spec };
+  } else if (typeof spec === 'string') {
+    const text = spec.replace(/\s+/g, '');
+    const shorthand = SHORTHANDS.find(([pattern]) => pattern.test(text));
+    if (!shorthand) {
+      throw new Error(`${label}: cannot parse think time "${spec}"; use e.g. 2, uniform:1-3, normal:2,0.5 or exponential:2`);
+    }
+    definition = shorthand[1](shorthand[0].exec(text));
+  }
+
+  const distribution = DISTRIBUTIONS[definition.type];
+  if (!distribution) {
+    throw new Error(`${label}: unknown think time type "${definition.type}", expected one of ${Object.keys(DISTRIBUTIONS).join(', ')}`);
+  }
+  distribution.settings.concat(['min', 'max']).forEach((key) => {
+    const value = definition[key];
+    const required = distribution.settings.includes(key);
+    if ((required || value !== undefined) && !(typeof value === 'number' && value >= 0 && Number.isFinite(value))) {
+      throw new Error(`${label}: think time "${key}" must be a non-negative number of seconds`);
+    }
+  });
+  if (definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+    throw new Error(`${label}: think time min is above max`);
+  }
+
+  const min = definition.min === undefined ? 0 : definition.min;
+  const max = definition.max === undefined ? Infinity : definition.max;
+  const settings = distribution.settings.map((key) => `${key}=${definition[key]}`).join(', ');
+  return {
+    description: `${definition.type} (${settings})`,
+    sample: () => Math.min(Math.max(distribution.sample(definition), min), max),
+  };
+}
+
+/**
+ * Sleeps for one think-time sample and records it.
+ *
+ * @param {Object|null} compiled - Result of compileThinkTime(); null does nothing
+ * @param {Object} [tags] - Extra metric tags
+ * @returns {number} - Seconds slept
+ */
+export function think(compiled, tags = {}) {
+  if (!compiled) {
+    return 0;
+  }
+  const seconds = compiled.sample();
+  thinkTime.add(seconds * 1000, { ...tags, pause: 'think' });
+  sleep(seconds);
+  return seconds;
+}
+
+/**
+ * Pads the current iteration to a target duration (constant pacing). Call
+ * last in the iteration, with the time it started.
+ *
+ * @param {number} targetSeconds - Target iteration duration; 0 disables pacing
+ * @param {number} startedAt - Date.now() at the start of the iteration
+ * @param {Object} [tags] - Extra metric tags
+ * @returns {number} - Seconds slept
+ */
+export function pace(targetSeconds, startedAt, tags = {}) {
+  if (!(targetSeconds > 0)) {
+    return 0;
+  }
+  const remaining = targetSeconds - (Date.now() - startedAt) / 1000;
+  pacingOverruns.add(remaining < 0, tags);
+  if (remaining <= 0) {
+    return 0;
+  }
+  thinkTime.add(remaining * 1000, { ...tags, pause: 'pacing' });
+  sleep(remaining);
+  return remaining;
+}
@@ -0,0 +1,289 @@
+/**
+ * Payload Templates
+ *
+ * Request bodies are written as templates instead of hand-built objects.
+ * Besides the `{{name}}` variables of template.js (feed rows, values
+ * extracted from earlier responses, plan variables), a template can ask for
+ * generated data with `{{$generator args}}`:
+ *
+ *   {{$uuid}}                  random UUID v4
+ *   {{$firstName}}, {{$lastName}}, {{$fullName}}, {{$job}}
+ *   {{$email example.com}}     name-based address, domain optional
+ *   {{$int 18 80}}             integer in a range, both ends included
+ *   {{$float 1 100 2}}         number in a range, with 2 decimals (default)
+ *   {{$bool}}
+ *   {{$pick red green blue}}   one of the listed words
+ *   {{$string 12}}             alphanumeric string, 8 characters by default
+ *   {{$date -30 0}}            YYYY-MM-DD between 30 days ago and today
+ *   {{$timestamp}}             current time as ISO 8601
+ *   {{$ipv4}}                  address in the documentation ranges (RFC 5737)
+ *
+ * As with variables, a value that is a single placeholder keeps its type:
+ * `"age": "{{$int 18 80}}"` renders to a number. Variables are rendered
+ * first, so a variable may itself hold a template that is generated anew for
+ * each request.
+ *
+ * Randomness is seeded with `PAYLOAD_SEED`: with the same seed (and the same
+ * number of VUs) every VU generates the same sequence of values in every run,
+ * so a failing run can be replayed with identical data. Without a seed the
+ * values differ from run to run.
+ *
+ * Metrics, tagged with the caller's tags (`endpoint`):
+ * - payload_bytes  total request body bytes sent (UTF-8)
+ * - payload_size   body size per request
+ */
+
+import exec from 'k6/execution';
+import { Counter, Trend } from 'k6/metrics';
+import { render } from './template.js';
+
+// Configuration entries for lib/config.js
+export const PAYLOAD_SCHEMA = {
+  PAYLOAD_SEED: { type: 'string', default: '' },   // Any text; empty = different data every run
+};
+
+const payloadBytes = new Counter('payload_bytes');
+const payloadSize = new Trend('payload_size');
+
+const GENERATOR = /\{\{\s*\$(\w+)((?:\s+[^\s}]+)*)\s*\}\}/g;
+const SINGLE_GENERATOR = /^\{\{\s*\$(\w+)((?:\s+[^\s}]+)*)\s*\}\}$/;
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Amara', 'Bruno', 'Chen', 'Diego', 'Elif', 'Emma', 'Farah', 'Grace',
+  'Hiro', 'Ines', 'Jonas', 'Kemal', 'Lena', 'Liam', 'Maya', 'Noah', 'Olga', 'Priya', 'Ravi', 'Sofia', 'Tariq', 'Zeynep'];
+const LAST_NAMES = ['Andersen', 'Baker', 'Costa', 'Demir', 'Evans', 'Fischer', 'Garcia', 'Hansen', 'Ito', 'Kaya',
+  'Kowalski', 'Lopez', 'Martin', 'Nguyen', 'Novak', 'Okafor', 'Patel', 'Rossi', 'Schmidt', 'Silva', 'Tanaka', 'Yilmaz'];
+const JOBS = ['engineer', 'designer', 'analyst', 'accountant', 'teacher', 'nurse', 'manager', 'architect',
+  'consultant', 'developer', 'editor', 'pharmacist', 'photographer', 'translator'];
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const DOCUMENTATION_NETS = ['192.0.2', '198.51.100', '203.0.113'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-VU random source; created on first use, when the VU id is known
+const settings = { seed: '' };
+let random = null;
+
+/**
+ * Applies the payload settings of a script. Call in the init context.
+ *
+ * @param {Object} config - Resolved configuration containing the PAYLOAD_SCHEMA entries
+ */
+export function configurePayloads(config) {
+  settings.seed = config.PAYLOAD_SEED;
+  random = null;
+}
+
+// FNV-1a hash of a string, used to turn the seed text into a 32-bit state
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Same generator (mulberry32) as the mock server's createRandom()
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function currentVu() {
+  try {
+    return exec.vu.idInTest;
+  } catch (e) {
+    // Outside a VU (init context of the first, throwaway VU)
+    return 0;
+  }
+}
+
+function nextRandom() {
+  if (!random) {
+    random = settings.seed === '' ? Math.random : seededRandom(hash(`${settings.seed}:${currentVu()}`));
+  }
+  return random();
+}
+
+function numberArg(args, index, fallback, name) {
+  if (args[index] === undefined) {
+    if (fallback === undefined) {
+      throw new Error(`$${name} needs ${index + 1} argument(s)`);
+    }
+    return fallback;
+  }
+  const value = Number(args[index]);
+  if (!Number.isFinite(value)) {
+    throw new Error(`$${name}: "${args[index]}" is not a number`);
+  }
+  return value;
+}
+
+function between(min, max, name) {
+  if (min > max) {
+    throw new Error(`$${name}: ${min} is above ${max}`);
+  }
+  return min + nextRandom() * (max - min);
+}
+
+function intBetween(min, max, name) {
+  if (min > max) {
+    throw new Error(`$${name}: ${min} is above ${max}`);
+  }
+  return Math.ceil(min) + Math.floor(nextRandom() * (Math.floor(max) - Math.ceil(min) + 1));
+}
+
+function pickFrom(list) {
+  return list[Math.floor(nextRandom() * list.length)];
+}
+
+// Generator name -> function of its arguments (strings)
+export const GENERATORS = {
+  uuid: () => {
+    const hex = Array.from({ length: 32 }, () => Math.floor(nextRandom() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = (8 + Math.floor(nextRandom() * 4)).toString(16);
+    const text = hex.join('');
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+  },
+  firstName: () => pickFrom(FIRST_NAMES),
+  lastName: () => pickFrom(LAST_NAMES),
+  fullName: () => `${pickFrom(FIRST_NAMES)} ${pickFrom(LAST_NAMES)}`,
+  job: () => pickFrom(JOBS),
+  email: (args) => {
+    const local = `${pickFrom(FIRST_NAMES)}.${pickFrom(LAST_NAMES)}${intBetween(1, 9999, 'email')}`.toLowerCase();
+    return `${local}@${args[0] || 'example.com'}`;
+  },
+  int: (args) => intBetween(numberArg(args, 0, undefined, 'int'), numberArg(args, 1, undefined, 'int'), 'int'),
+  float: (args) => {
+    const decimals = numberArg(args, 2, 2, 'float');
+    return Number(between(numberArg(args, 0, undefined, 'float'), numberArg(args, 1, undefined, 'float'), 'float').toFixed(decimals));
+  },
+  bool: () => nextRandom() < 0.5,
+  pick: (args) => {
+    if (args.length === 0) {
+      throw new Error('$pick needs at least one value');
+    }
+    return pickFrom(args);
+  },
+  string: (args) => {
+    const length = numberArg(args, 0, 8, 'string');
+    return Array.from({ length }, () => pickFrom(ALPHANUMERIC)).join('');
+  },
+  date: (args) => {
+    const days = intBetween(numberArg(args, 0, -365, 'date'), numberArg(args, 1, 0, 'date'), 'date');
+    return new Date(Date.now() + days * DAY_MS).toISOString().substring(0, 10);
+  },
+  timestamp: () => new Date().toISOString(),
+  ipv4: () => `${pickFrom(DOCUMENTATION_NETS)}.${intBetween(1, 254, 'ipv4')}`,
+};
+
+function runGenerator(name, argText) {
+  const generator = GENERATORS[name];
+  if (!generator) {
+    throw new Error(`unknown generator $${name}, expected one of ${Object.keys(GENERATORS).join(', ')}`);
+  }
+  return generator(argText.trim() === '' ? [] : argText.trim().split(/\s+/));
+}
+
+/**
+ * Replaces the `{{$generator}}` placeholders of a template with generated values.
+ *
+ * @param {*} template - String, array or object
+ * @returns {*} - Copy with generated values
+ */
+export function generate(template) {
+  if (typeof template === 'string') {
+    const single = SINGLE_GENERATOR.exec(template);
+    if (single) {
+      return runGenerator(single[1], single[2]);
+    }
+    return template.replace(GENERATOR, (placeholder, name, args) => String(runGenerator(name, args)));
+  }
+  if (Array.isArray(template)) {
+    return template.map(generate);
+  }
+  if (template !== null && typeof template === 'object') {
+    const generated = {};
+    Object.keys(template).forEach((key) => {
+      generated[key] = generate(template[key]);
+    });
+    return generated;
+  }
+  return template;
+}
+
+/**
+ * Checks that every generator in a template exists and accepts its
+ * arguments, by generating it once. Call in the init context.
+ *
+ * @param {*} template - Template to check
+ * @param {string} label - Where the template comes from, for error messages
+ */
+export function validatePayload(template, label) {
+  const previous = random;
+  random = Math.random;
+  try {
+    generate(template);
+  } catch (e) {
+    throw new Error(`${label}: ${e.message}`);
+  } finally {
+    // Validation must not consume values of the seeded sequence
+    random = previous;
+  }
+}
+
+/**
+ * Loads a JSON payload template from a file and validates it. Call in the
+ * init context.
+ *
+ * @param {string} path - Template file path
+ * @param {Function} readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ * @returns {*} - Parsed template
+ */
+export function loadPayloadTemplate(path, readFile) {
+  let template;
+  try {
+    template = JSON.parse(readFile(path));
+  } catch (e) {
+    throw new Error(`Payload template ${path} could not be read: ${e.message}`);
+  }
+  validatePayload(template, `Payload template ${path}`);
+  return template;
+}
+
+/**
+ * Renders a template: variables first, then generators.
+ *
+ * @param {*} template - Template
+ * @param {Object} vars - Values available to `{{name}}` placeholders
+ * @returns {*} - Rendered copy
+ */
+export function renderPayload(template, vars) {
+  return generate(render(template, vars));
+}
+
+// UTF-8 length of a string; k6 sends bodies as UTF-8
+function byteLength(text) {
+  return encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, '.').length;
+}
+
+/**
+ * Renders a template into a JSON request body and records its size.
+ *
+ * @param {*} template - Body template
+ * @param {Object} vars - Values available to `{{name}}` placeholders
+ * @param {Object} [tags] - Metric tags, e.g. { endpoint }
+ * @returns {string} - JSON body
+ */
+export function buildPayload(template, vars, tags = {}) {
+  const body = JSON.stringify(renderPayload(template, vars));
+  const bytes = byteLength(body);
+  payloadBytes.add(bytes, tags);
+  payloadSize.add(bytes, tags);
+  return body;
+}
@@ -0,0 +1,435 @@
+/**
+ * Declarative Test Plan Runner
+ *
+ * Turns a JSON test plan (see `plans/reqres.json`) into k6 groups, checks
+ * and tagged metrics, so a new endpoint is a new entry in the plan file
+ * instead of a new hand-written `group()` block.
+ *
+ * Plan format:
+ * {
+ *   "name": "reqres",
+ *   "mode": "sequential" | "weighted",   // all endpoints per iteration, or one picked by weight
+ *   "pacing": 10,                         // optional target iteration duration in seconds (see pacing.js)
+ *   "variables": { ... },                 // available to templates as {{name}}; may hold {{$generator}} templates
+ *   "defaults": { "headers": { ... }, "thinkTime": "uniform:0.5-1.5", "retry": { "maxRetries": 2 }, "slo": { ... } },
+ *   "endpoints": [{
+ *     "name": "List Users",               // group name
+ *     "id": "list-users",                 // `endpoint` tag, defaults to the slugified name
+ *     "method": "GET",
+ *     "path": "/api/users?page={{page}}",
+ *     "headers": { ... },
+ *     "body": { ... },                    // template with {{name}} and {{$generator}} (see payload.js), sent as JSON
+ *     "expectedStatus": 200,              // number or array of numbers
+ *     "maxDuration": 200,                 // latency budget in ms
+ *     "schema": "schemas/list-users.json",
+ *     "assertions": [{ "type": "fieldEquals", "path": "data.id", "value": 2 }],
+ *     "tags": { ... },
+ *     "thresholds": { "request_duration": ["p(95)<300"] },  // scoped to this endpoint
+ *     "retry": { "maxRetries": 2 },       // createRetryPolicy() options, merged over the defaults
+ *     "weight": 1,
+ *     "thinkTime": "normal:2,0.5",        // pause after the request, a pacing.js think-time spec
+ *     "slo": { "latency": { "thresholdMs": 300, "target": 0.95 } },  // merged over defaults.slo per objective (see slo.js)
+ *     "extract": [{ "as": "userId", "from": "json", "path": "data[].id" }]  // see extract.js
+ *   }],
+ *   "journeys": [{                        // multi-step flows sharing extracted values
+ *     "name": "User Lifecycle",
+ *     "id": "user-lifecycle",             // `journey` tag; step ids are prefixed with it
+ *     "thresholds": { "journey_success": ["rate>0.95"] },
+ *     "weight": 1,
+ *     "steps": [ ...endpoints, using {{userId}} from an earlier step... ]
+ *   }]
+ * }
+ *
+ * Everything that can fail (unknown assertion types, duplicate check names,
+ * missing schema files) is resolved in `loadPlan`, i.e. in the init context,
+ * so a broken plan aborts the test before any traffic is sent. The same goes
+ * for unknown `{{$generator}}` placeholders in paths, headers and bodies.
+ *
+ * Every request, check and metric sample is tagged with `endpoint`, so
+ * `planThresholds()` can express thresholds per endpoint and the end-of-test
+ * summary lists each endpoint separately. Journeys additionally record
+ * `journey_duration` (wall time of all steps, including think time) and
+ * `journey_success`, tagged with `journey`.
+ */
+
+import http from 'k6/http';
+import { group } from 'k6';
+import { Trend } from 'k6/metrics';
+import {
+  mergeChecks,
+  checkResponse,
+  status,
+  latency,
+  validJson,
+  emptyBody,
+  pagination,
+  requiredFields,
+  fieldEquals,
+  fieldMatches,
+  containsItem,
+  headerMatches,
+} from './checks.js';
+import { matchesSchema } from './schema.js';
+import { renderPayload, buildPayload, validatePayload } from './payload.js';
+import { createRetryPolicy } from './retry.js';
+import { compileExtractors, extractValues } from './extract.js';
+import { createLogger, responseFields } from './logger.js';
+import { compileThinkTime, think, pace } from './pacing.js';
+import { compileSlo, recordSlo } from './slo.js';
+// Shared with the hand-written scripts so plan results land in the same metrics
+import { requestDuration, errorRate, newRate } from './metrics.js';
+
+const journeyDuration = new Trend('journey_duration', true);
+const journeySuccess = newRate('journey_success', { higherIsBetter: true });
+
+const log = createLogger('plan');
+
+// Maps assertion `type` values in the plan file to check builders
+const ASSERTIONS = {
+  validJson: (a) => validJson(a.name),
+  emptyBody: (a) => emptyBody(a.name),
+  pagination: (a) => pagination(a),
+  requiredFields: (a) => requiredFields(a.path || '', a.fields, a.name),
+  fieldEquals: (a) => fieldEquals(a.path, a.value, a.name),
+  fieldMatches: (a) => fieldMatches(a.path, new RegExp(a.pattern, a.flags), a.name),
+  containsItem: (a) => containsItem(a.path, a.fields, a.name),
+  headerMatches: (a) => headerMatches(a.header, new RegExp(a.pattern, a.flags), a.name),
+};
+
+/**
+ * Converts a group name into an endpoint tag value, e.g. "List Users" -> "list-users".
+ *
+ * @param {string} name - Display name
+ * @returns {string} - Slug
+ */
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Builds the check sets for one endpoint definition.
+ *
+ * @param {Object} endpoint - Endpoint definition from the plan
+ * @param {Function} readFile - Reads a file relative to the repository root
+ * @returns {Array<Object>} - Check sets for checkResponse()
+ */
+function buildChecks(endpoint, readFile) {
+  const checkSets = [status(endpoint.expectedStatus)];
+
+  if (endpoint.maxDuration !== undefined) {
+    checkSets.push(latency(endpoint.maxDuration));
+  }
+  if (endpoint.schema !== undefined) {
+    checkSets.push(matchesSchema(JSON.parse(readFile(endpoint.schema))));
+  }
+
+  (endpoint.assertions || []).forEach((assertion) => {
+    const builder = ASSERTIONS[assertion.type];
+    if (!builder) {
+      throw new Error(`Endpoint "${endpoint.name}": unknown assertion type "${assertion.type}"`);
+    }
+    checkSets.push(builder(assertion));
+  });
+
+  // Fail at init on duplicate check names rather than silently overwriting
+  mergeChecks(checkSets);
+  return checkSets;
+}
+
+/**
+ * Normalizes one endpoint (or journey step) definition and builds its checks
+ * and retry policy.
+ *
+ * @param {Object} endpoint - Endpoint definition from the plan
+ * @param {Object} defaults - Plan defaults
+ * @param {Function} readFile - Reads a file relative to the repository root
+ * @param {string} label - Where the definition comes from, for error messages
+ * @returns {Object} - Normalized endpoint
+ */
+function normalizeEndpoint(endpoint, defaults, readFile, label) {
+  if (!endpoint.name || !endpoint.path) {
+    throw new Error(`${label}: every endpoint needs a name and a path`);
+  }
+  const normalized = {
+    ...endpoint,
+    id: endpoint.id || slugify(endpoint.name),
+    method: (endpoint.method || 'GET').toUpperCase(),
+    expectedStatus: endpoint.expectedStatus || 200,
+    headers: { ...defaults.headers, ...endpoint.headers },
+    tags: endpoint.tags || {},
+    thresholds: endpoint.thresholds || {},
+    weight: endpoint.weight === undefined ? 1 : endpoint.weight,
+  };
+  normalized.thinkTime = compileThinkTime(
+    endpoint.thinkTime === undefined ? defaults.thinkTime : endpoint.thinkTime,
+    `${label}, endpoint "${endpoint.name}"`
+  );
+  validatePayload([normalized.path, normalized.headers, normalized.body], `${label}, endpoint "${endpoint.name}"`);
+  normalized.checks = buildChecks(normalized, readFile);
+  // Without retry settings each request is sent once
+  normalized.retry = createRetryPolicy({
+    maxRetries: 0,
+    ...defaults.retry,
+    ...endpoint.retry,
+    expectedStatuses: [].concat(normalized.expectedStatus),
+  });
+  normalized.extract = compileExtractors(endpoint.extract, `${label}, endpoint "${endpoint.name}"`);
+  // `"slo": false` opts an endpoint out of the default SLO
+  normalized.slo = compileSlo(
+    endpoint.slo === false ? null : { ...defaults.slo, ...endpoint.slo },
+    `${label}, endpoint "${endpoint.name}" SLO`
+  );
+  return normalized;
+}
+
+/**
+ * Normalizes a journey: its steps become endpoints whose ids are prefixed
+ * with the journey id and whose requests carry a `journey` tag.
+ *
+ * @param {Object} journey - Journey definition from the plan
+ * @param {Object} defaults - Plan defaults
+ * @param {Function} readFile - Reads a file relative to the repository root
+ * @param {string} label - Where the definition comes from, for error messages
+ * @returns {Object} - Normalized journey
+ */
+function normalizeJourney(journey, defaults, readFile, label) {
+  if (!journey.name || !Array.isArray(journey.steps) || journey.steps.length === 0) {
+    throw new Error(`${label}: every journey needs a name and at least one step`);
+  }
+  const id = journey.id || slugify(journey.name);
+  const steps = journey.steps.map((step) => normalizeEndpoint({
+    ...step,
+    id: `${id}-${step.id || slugify(step.name || '')}`,
+    tags: { journey: id, ...step.tags },
+  }, defaults, readFile, `${label}, journey "${journey.name}"`));
+
+  return {
+    name: journey.name,
+    id,
+    weight: journey.weight === undefined ? 1 : journey.weight,
+    thresholds: journey.thresholds || {},
+    steps,
+  };
+}
+
+/**
+ * Loads and validates a test plan. Must be called in the init context.
+ *
+ * @param {string} path - Plan file path
+ * @param {Function} readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ * @returns {Object} - Normalized plan ready for runPlan()
+ */
+export function loadPlan(path, readFile) {
+  const plan = JSON.parse(readFile(path));
+  const defaults = plan.defaults || {};
+  const label = `Test plan ${path}`;
+
+  const endpoints = (plan.endpoints || []).map((endpoint) => normalizeEndpoint(endpoint, defaults, readFile, label));
+  const journeys = (plan.journeys || []).map((journey) => normalizeJourney(journey, defaults, readFile, label));
+  if (endpoints.length === 0 && journeys.length === 0) {
+    throw new Error(`${label} defines no endpoints or journeys`);
+  }
+
+  // Endpoint ids become tag values and threshold keys, so they must be unique
+  const ids = new Set();
+  endpoints.concat(...journeys.map((journey) => journey.steps)).forEach((endpoint) => {
+    if (ids.has(endpoint.id)) {
+      throw new Error(`${label}: duplicate endpoint id "${endpoint.id}"`);
+    }
+    ids.add(endpoint.id);
+  });
+
+  validatePayload(plan.variables, `${label}, variables`);
+
+  const pacing = plan.pacing === undefined ? 0 : plan.pacing;
+  if (typeof pacing !== 'number' || pacing < 0) {
+    throw new Error(`${label}: pacing must be a target iteration duration in seconds`);
+  }
+
+  // SLOs by endpoint id, for sloThresholds() and the reports
+  const slos = {};
+  endpoints.concat(...journeys.map((journey) => journey.steps)).forEach((endpoint) => {
+    if (endpoint.slo) {
+      slos[endpoint.id] = endpoint.slo;
+    }
+  });
+
+  return {
+    name: plan.name || path,
+    mode: plan.mode || 'sequential',
+    pacing,
+    variables: plan.variables || {},
+    endpoints,
+    journeys,
+    slos,
+  };
+}
+
+/**
+ * Builds endpoint-scoped thresholds for k6 options, e.g.
+ * `request_duration{endpoint:list-users}: ['p(95)<300']`.
+ *
+ * Metrics without a threshold in the plan get an always-passing one, because
+ * k6 only lists tagged sub-metrics in the summary when they have thresholds;
+ * this gives a per-endpoint breakdown of request_duration, errors and checks,
+ * plus payload_size for endpoints that send a body.
+ *
+ * @param {Object} plan - Plan from loadPlan()
+ * @returns {Object} - Thresholds keyed by tagged metric name
+ */
+export function planThresholds(plan) {
+  const thresholds = {};
+  const steps = [].concat(...plan.journeys.map((journey) => journey.steps));
+  plan.endpoints.concat(steps).forEach((endpoint) => {
+    const scoped = {
+      request_duration: ['max>=0'],
+      errors: ['rate>=0'],
+      checks: ['rate>=0'],
+      ...(endpoint.body === undefined ? {} : { payload_size: ['max>=0'] }),
+      ...endpoint.thresholds,
+    };
+    Object.keys(scoped).forEach((metric) => {
+      thresholds[`${metric}{endpoint:${endpoint.id}}`] = scoped[metric];
+    });
+  });
+  plan.journeys.forEach((journey) => {
+    const scoped = {
+      journey_duration: ['max>=0'],
+      journey_success: ['rate>=0'],
+      ...journey.thresholds,
+    };
+    Object.keys(scoped).forEach((metric) => {
+      thresholds[`${metric}{journey:${journey.id}}`] = scoped[metric];
+    });
+  });
+  return thresholds;
+}
+
+/**
+ * Sends one endpoint's request, runs its checks and records its metrics.
+ *
+ * @param {Object} endpoint - Normalized endpoint from loadPlan()
+ * @param {string} baseURL - Target base URL
+ * @param {Object} vars - Template variables
+ * @returns {Object} - { response, passed }: passed when the status was expected and every check passed
+ */
+export function runEndpoint(endpoint, baseURL, vars) {
+  const tags = { endpoint: endpoint.id, ...endpoint.tags };
+  const url = `${baseURL}${renderPayload(endpoint.path, vars)}`;
+  // The body size is recorded per endpoint in payload_bytes and payload_size
+  const body = endpoint.body === undefined ? null : buildPayload(endpoint.body, vars, tags);
+  const expected = Array.isArray(endpoint.expectedStatus) ? endpoint.expectedStatus : [endpoint.expectedStatus];
+  const headers = renderPayload(endpoint.headers, vars);
+  // Headers that render empty (e.g. an unset API key) are not sent
+  Object.keys(headers).forEach((name) => {
+    if (headers[name] === '') {
+      delete headers[name];
+    }
+  });
+  const params = {
+    headers,
+    tags,
+    // Keeps expected non-2xx responses (e.g. 404 scenarios) out of http_req_failed
+    responseCallback: http.expectedStatuses(...expected),
+  };
+  if (body !== null && !params.headers['Content-Type']) {
+    params.headers['Content-Type'] = 'application/json';
+  }
+
+  const response = endpoint.retry.request(endpoint.method, url, body, params);
+
+  const checksPassed = checkResponse(response, endpoint.checks, tags);
+
+  // Record custom metrics; an expected status (e.g. a 404 scenario) is not an error
+  const statusExpected = expected.includes(response.status);
+  requestDuration.add(response.timings.duration, tags);
+  errorRate.add(!statusExpected, tags);
+  recordSlo(endpoint.id, endpoint.slo, { durationMs: response.timings.duration, ok: statusExpected });
+
+  think(endpoint.thinkTime, tags);
+  return { response, passed: statusExpected && checksPassed };
+}
+
+/**
+ * Runs a journey's steps in order inside a group named after the journey.
+ * Values extracted by a step are added to the iteration's variables for the
+ * following steps. The journey stops at the first step that fails or whose
+ * values cannot be extracted, since later steps depend on them.
+ *
+ * @param {Object} journey - Normalized journey from loadPlan()
+ * @param {string} baseURL - Target base URL
+ * @param {Object} vars - Template variables; not modified
+ * @returns {boolean} - Whether every step passed
+ */
+export function runJourney(journey, baseURL, vars) {
+  const context = { ...vars };
+  const tags = { journey: journey.id };
+  const start = Date.now();
+  let passed = true;
+
+  group(journey.name, function () {
+    for (const step of journey.steps) {
+      const result = group(step.name, () => runEndpoint(step, baseURL, context));
+      const { values, missing } = extractValues(result.response, step.extract);
+      Object.assign(context, values);
+
+      if (!result.passed || missing.length > 0) {
+        const reason = result.passed ? `could not extract ${missing.join(', ')}` : `status ${result.response.status} or failed checks`;
+        log.warn(`Journey stopped: ${reason}`, { ...responseFields(result.response), journey: journey.id, step: step.id });
+        passed = false;
+        break;
+      }
+    }
+  });
+
+  journeyDuration.add(Date.now() - start, tags);
+  journeySuccess.add(passed, tags);
+  return passed;
+}
+
+/**
+ * Picks one endpoint or journey at random, proportionally to its weight.
+ *
+ * @param {Array<Object>} entries - Normalized endpoints and journeys
+ * @returns {Object} - Selected entry
+ */
+function pickWeighted(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = Math.random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll < 0) {
+      return entry;
+    }
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Runs one iteration of a plan: every endpoint and then every journey in
+ * order ("sequential"), or a single endpoint or journey chosen by weight
+ * ("weighted"). Each endpoint runs in a group named after it. With `pacing`
+ * set, the iteration is then padded to that many seconds.
+ *
+ * @param {Object} plan - Plan from loadPlan()
+ * @param {string} baseURL - Target base URL
+ * @param {Object} [vars] - Extra template variables, merged over the plan's
+ */
+export function runPlan(plan, baseURL, vars = {}) {
+  const startedAt = Date.now();
+  const context = { ...plan.variables, env: __ENV, ...vars };
+  const entries = plan.endpoints.concat(plan.journeys);
+  const selected = plan.mode === 'weighted' ? [pickWeighted(entries)] : entries;
+
+  selected.forEach((entry) => {
+    if (entry.steps) {
+      runJourney(entry, baseURL, context);
+      return;
+    }
+    group(entry.name, function () {
+      runEndpoint(entry, baseURL, context);
+    });
+  });
+
+  pace(plan.pacing, startedAt);
+}
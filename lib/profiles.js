@@ -0,0 +1,240 @@
+/**
+ * Load Profile Presets
+ *
+ * Named load profiles (smoke, load, stress, spike, soak, breakpoint) shared by
+ * all scripts, so switching test type is `-e PROFILE=stress` instead of
+ * editing `options.stages` in each file.
+ *
+ * Each preset is a function of three parameters, so the shape of the curve
+ * stays the same while its size can be overridden:
+ * - vus:      peak (or constant) virtual users; for arrival-rate profiles, maxVUs
+ * - duration: how long the profile holds its main level
+ * - rate:     peak iterations per second (arrival-rate profiles only)
+ *
+ * Parameters come from, in increasing priority: the preset defaults, the
+ * script's `overrides`, then the VUS / DURATION / RATE environment variables.
+ *
+ * Every metric is tagged with the profile name and, when TEST_ID is set, with
+ * `testid`, the run selector of the Grafana dashboards in grafana/.
+ */
+
+// Thresholds applied by every profile unless the preset defines the same metric
+const COMMON_THRESHOLDS = {
+  http_req_failed: ['rate<0.1'],
+};
+
+export const PROFILES = {
+  // Minimal load to verify the script and the system work at all
+  smoke: {
+    defaults: { vus: 1, duration: '1m' },
+    scenario: (p) => ({
+      executor: 'constant-vus',
+      vus: p.vus,
+      duration: p.duration,
+    }),
+    thresholds: {
+      http_req_duration: ['p(95)<500'],
+      http_req_failed: ['rate<0.01'],
+      checks: ['rate>0.99'],
+    },
+  },
+
+  // Expected everyday traffic: ramp up, hold, ramp down
+  load: {
+    defaults: { vus: 10, duration: '1m' },
+    scenario: (p) => ({
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '30s', target: p.vus }, // Ramp-up
+        { duration: p.duration, target: p.vus }, // Steady state
+        { duration: '30s', target: 0 }, // Ramp-down
+      ],
+    }),
+    thresholds: {
+      http_req_duration: ['p(95)<500', 'p(99)<1000'],
+      checks: ['rate>0.95'],
+    },
+  },
+
+  // Above-normal traffic in steps to find how the system degrades
+  stress: {
+    defaults: { vus: 50, duration: '3m' },
+    scenario: (p) => ({
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '1m', target: Math.ceil(p.vus / 2) }, // Ramp to half of peak
+        { duration: p.duration, target: Math.ceil(p.vus / 2) },
+        { duration: '1m', target: p.vus }, // Ramp to peak
+        { duration: p.duration, target: p.vus },
+        { duration: '1m', target: 0 }, // Recovery
+      ],
+    }),
+    thresholds: {
+      http_req_duration: ['p(95)<1500'],
+      checks: ['rate>0.9'],
+    },
+  },
+
+  // Sudden burst of arrivals on top of a steady load, then recovery
+  spike: {
+    defaults: { vus: 50, duration: '1m', rate: 50 },
+    scenario: (p) => ({
+      executor: 'ramping-arrival-rate',
+      startRate: 1,
+      timeUnit: '1s',
+      preAllocatedVUs: Math.ceil(p.vus / 5),
+      maxVUs: p.vus,
+      stages: [
+        { target: Math.ceil(p.rate / 10), duration: '1m' }, // Warm-up phase
+        { target: Math.ceil(p.rate * 0.4), duration: '2m' }, // Steady load
+        { target: p.rate, duration: p.duration }, // Spike
+        { target: Math.ceil(p.rate * 0.4), duration: '2m' }, // Recovery phase
+        { target: 0, duration: '1m' }, // Cool-down
+      ],
+    }),
+    thresholds: {
+      http_req_duration: ['p(95)<2000', 'p(99)<5000'],
+      checks: ['rate>0.95'],
+    },
+  },
+
+  // Normal load held for a long time to surface leaks and slow degradation
+  soak: {
+    defaults: { vus: 10, duration: '2h' },
+    scenario: (p) => ({
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '5m', target: p.vus },
+        { duration: p.duration, target: p.vus },
+        { duration: '5m', target: 0 },
+      ],
+    }),
+    thresholds: {
+      http_req_duration: ['p(95)<500', 'p(99)<1500'],
+      http_req_failed: ['rate<0.01'],
+      checks: ['rate>0.99'],
+    },
+  },
+
+  // Steadily increasing arrival rate until the thresholds abort the test
+  breakpoint: {
+    defaults: { vus: 200, duration: '10m', rate: 200 },
+    scenario: (p) => ({
+      executor: 'ramping-arrival-rate',
+      startRate: 1,
+      timeUnit: '1s',
+      preAllocatedVUs: Math.ceil(p.vus / 10),
+      maxVUs: p.vus,
+      stages: [
+        { target: p.rate, duration: p.duration },
+      ],
+    }),
+    thresholds: {
+      http_req_duration: [{ threshold: 'p(95)<2000', abortOnFail: true, delayAbortEval: '30s' }],
+      http_req_failed: [{ threshold: 'rate<0.1', abortOnFail: true, delayAbortEval: '30s' }],
+    },
+  },
+};
+
+/**
+ * Reads a positive integer environment variable, failing fast on typos.
+ *
+ * @param {string} name - Variable name
+ * @returns {number|undefined} - Parsed value or undefined if unset
+ */
+function positiveIntFromEnv(name) {
+  const raw = __ENV[name];
+  if (raw === undefined || raw === '') {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Merges threshold objects, concatenating the expressions for shared metrics.
+ *
+ * @param {...Object} sets - Threshold objects
+ * @returns {Object} - Merged thresholds
+ */
+export function mergeThresholds(...sets) {
+  const merged = {};
+  sets.forEach((set) => {
+    Object.keys(set || {}).forEach((metric) => {
+      const existing = merged[metric] || [];
+      const additions = set[metric].filter((expr) => !existing.includes(expr));
+      merged[metric] = existing.concat(additions);
+    });
+  });
+  return merged;
+}
+
+/**
+ * Resolves the parameters of a profile from defaults, script overrides and env.
+ *
+ * @param {string} name - Profile name
+ * @param {Object} overrides - Script-level parameter overrides
+ * @returns {Object} - vus, duration and rate
+ */
+export function resolveParams(name, overrides = {}) {
+  const preset = PROFILES[name];
+  const params = { ...preset.defaults, ...overrides };
+
+  const vus = positiveIntFromEnv('VUS');
+  const rate = positiveIntFromEnv('RATE');
+  if (vus !== undefined) {
+    params.vus = vus;
+  }
+  if (rate !== undefined) {
+    params.rate = rate;
+  }
+  if (__ENV.DURATION) {
+    if (!/^(\d+(ms|s|m|h))+$/.test(__ENV.DURATION)) {
+      throw new Error(`DURATION must be a k6 duration such as 90s or 5m, got "${__ENV.DURATION}"`);
+    }
+    params.duration = __ENV.DURATION;
+  }
+  return params;
+}
+
+/**
+ * Builds k6 options for the selected profile. The profile is taken from
+ * `__ENV.PROFILE`, falling back to the script's default.
+ *
+ * @param {Object} config - Profile selection and script-specific options
+ * @param {string} [config.profile] - Default profile name when PROFILE is unset
+ * @param {Object} [config.overrides] - Per-profile parameter overrides, keyed by profile name
+ * @param {string} [config.scenario] - Scenario name, e.g. 'login_flow'
+ * @param {Object} [config.thresholds] - Script thresholds merged over the profile's
+ * @param {Object} [config.options] - Any other k6 options (tags, httpDebug, ...)
+ * @returns {Object} - k6 options object
+ */
+export function buildOptions({ profile = 'load', overrides = {}, scenario = 'default', thresholds = {}, options = {} } = {}) {
+  const name = __ENV.PROFILE || profile;
+  const preset = PROFILES[name];
+  if (!preset) {
+    throw new Error(`Unknown PROFILE "${name}". Available profiles: ${Object.keys(PROFILES).join(', ')}`);
+  }
+  const params = resolveParams(name, overrides[name]);
+
+  return {
+    ...options,
+    scenarios: {
+      [scenario]: preset.scenario(params),
+    },
+    // Preset thresholds replace the common ones per metric; script thresholds are added
+    thresholds: mergeThresholds({ ...COMMON_THRESHOLDS, ...preset.thresholds }, thresholds),
+    tags: {
+      ...options.tags,
+      profile: name,
+      // Tells runs apart in Grafana; tags from --tag would replace the script's tags instead
+      ...(__ENV.TEST_ID ? { testid: __ENV.TEST_ID } : {}),
+    },
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Pre-flight Readiness Gate
+ *
+ * Polls one or more probes from setup() until the target is ready, so load
+ * starts against a healthy system instead of measuring a cold start or an
+ * outage. Probes come from the `readiness` section of
+ * `config/<ENVIRONMENT>.json`, optionally replaced per script under
+ * `scripts.<name>.readiness`:
+ *
+ *   "readiness": {
+ *     "timeoutSeconds": 60,          // give up after this long
+ *     "intervalSeconds": 2,          // wait between rounds
+ *     "requestTimeoutSeconds": 5,    // per probe request
+ *     "probes": [{
+ *       "name": "health",
+ *       "method": "GET",             // default GET
+ *       "path": "/health",
+ *       "expectedStatus": 200,       // number or array of numbers
+ *       "bodyMatches": "\"ok\"",     // regex tested against the body
+ *       "maxDuration": 1000          // ms
+ *     }]
+ *   }
+ *
+ * The target is ready when every probe passes in the same round. If that does
+ * not happen within the timeout, the test is aborted with exec.test.abort()
+ * and the last failure of each probe as the reason.
+ *
+ * Probe requests are kept out of the measured results: they run no check(),
+ * are tagged `phase: warmup`, do not count towards http_req_failed when the
+ * target answers, and are recorded in their own metrics:
+ * - readiness_probe_duration  probe latency, tagged with `probe`
+ * - readiness_probe_failures  rate of failed probe requests, tagged with `probe`
+ * - readiness_wait_seconds    time until the target was ready
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import exec from 'k6/execution';
+import { Trend } from 'k6/metrics';
+import { loadEnvironmentFile } from './config.js';
+import { createLogger } from './logger.js';
+import { newRate } from './metrics.js';
+
+const probeDuration = new Trend('readiness_probe_duration', true);
+const probeFailures = newRate('readiness_probe_failures', { higherIsBetter: false });
+const waitSeconds = new Trend('readiness_wait_seconds');
+
+const log = createLogger('readiness');
+
+const DEFAULTS = {
+  timeoutSeconds: 60,
+  intervalSeconds: 2,
+  requestTimeoutSeconds: 5,
+  probes: [],
+};
+
+/**
+ * Loads and validates the readiness settings for a script. Must be called in
+ * the init context.
+ *
+ * @param {Object} settings - Lookup settings
+ * @param {string} settings.name - Script name, selecting `scripts.<name>.readiness`
+ * @param {string} settings.environment - Environment name (CONFIG.ENVIRONMENT)
+ * @param {Function} settings.readFile - Reads a file, e.g. `(p) => open(p)` from the main script
+ * @returns {Object} - Settings for waitUntilReady()
+ */
+export function loadReadiness({ name, environment, readFile }) {
+  const file = loadEnvironmentFile(environment, readFile);
+  const scriptSection = file.scripts && file.scripts[name] && file.scripts[name].readiness;
+  const readiness = { ...DEFAULTS, ...(scriptSection || file.readiness) };
+
+  const probes = readiness.probes.map((probe, index) => {
+    const label = `config/${environment}.json readiness probe ${probe.name || index + 1}`;
+    if (typeof probe.path !== 'string' || !probe.path.startsWith('/')) {
+      throw new Error(`${label}: path must start with /`);
+    }
+    return {
+      name: probe.name || probe.path,
+      method: (probe.method || 'GET').toUpperCase(),
+      path: probe.path,
+      expectedStatus: [].concat(probe.expectedStatus || 200),
+      bodyMatches: probe.bodyMatches === undefined ? null : new RegExp(probe.bodyMatches),
+      maxDuration: probe.maxDuration === undefined ? null : probe.maxDuration,
+    };
+  });
+
+  return { ...readiness, probes };
+}
+
+function describeFailures(failures) {
+  return Object.keys(failures).map((name) => `${name}: ${failures[name]}`).join('; ');
+}
+
+/**
+ * Sends one probe request and evaluates it.
+ *
+ * @returns {string|null} - Failure reason, or null when the probe passed
+ */
+function runProbe(probe, baseURL, settings, headers) {
+  const response = http.request(probe.method, `${baseURL}${probe.path}`, null, {
+    headers,
+    timeout: `${settings.requestTimeoutSeconds}s`,
+    tags: { phase: 'warmup', probe: probe.name },
+    // Error statuses are expected while waiting and must not count as failed requests
+    responseCallback: http.expectedStatuses({ min: 100, max: 599 }),
+  });
+  probeDuration.add(response.timings.duration, { probe: probe.name });
+
+  let reason = null;
+  if (!probe.expectedStatus.includes(response.status)) {
+    reason = response.status === 0 ? `no response (${response.error})` : `status ${response.status}`;
+  } else if (probe.bodyMatches && !probe.bodyMatches.test(response.body || '')) {
+    reason = `body does not match ${probe.bodyMatches}`;
+  } else if (probe.maxDuration !== null && response.timings.duration > probe.maxDuration) {
+    reason = `took ${Math.round(response.timings.duration)}ms, limit ${probe.maxDuration}ms`;
+  }
+  probeFailures.add(reason !== null, { probe: probe.name });
+  return reason;
+}
+
+/**
+ * Polls the probes until all pass in one round; aborts the test when the
+ * timeout expires first. Call from setup().
+ *
+ * @param {string} baseURL - Target base URL
+ * @param {Object} settings - Result of loadReadiness()
+ * @param {Object} [headers] - Headers sent with every probe
+ * @returns {number|null} - Seconds waited until ready; null once the test is aborted
+ */
+export function waitUntilReady(baseURL, settings, headers = {}) {
+  if (settings.probes.length === 0) {
+    log.info('No readiness probes configured; starting without a readiness check');
+    return 0;
+  }
+
+  const start = Date.now();
+  const deadline = start + settings.timeoutSeconds * 1000;
+  let failures = {};
+  let round = 0;
+
+  for (;;) {
+    round++;
+    failures = {};
+    settings.probes.forEach((probe) => {
+      const reason = runProbe(probe, baseURL, settings, headers);
+      if (reason !== null) {
+        failures[probe.name] = reason;
+      }
+    });
+
+    const waited = (Date.now() - start) / 1000;
+    if (Object.keys(failures).length === 0) {
+      waitSeconds.add(waited);
+      log.info('Target ready', { baseURL, rounds: round, waitedSeconds: Number(waited.toFixed(1)) });
+      return waited;
+    }
+    if (Date.now() + settings.intervalSeconds * 1000 > deadline) {
+      break;
+    }
+    log.warn('Target not ready', { baseURL, round, failures });
+    sleep(settings.intervalSeconds);
+  }
+
+  exec.test.abort(`Target ${baseURL} not ready after ${settings.timeoutSeconds}s (${round} rounds): ${describeFailures(failures)}`);
+  return null;
+}
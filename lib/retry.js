@@ -0,0 +1,182 @@
+/**
+ * HTTP Retry Policy
+ *
+ * Wraps any k6 http call with retries:
+ * - only retryable outcomes are retried: configured status codes (default
+ *   429, 502, 503, 504) and network errors (status 0); a slow or otherwise
+ *   failing-but-answered response is returned as is for the checks to judge
+ * - exponential backoff with full jitter, capped at `maxDelaySeconds`
+ * - `Retry-After` (seconds or HTTP date) is honored on 429 and 503
+ * - POST and PATCH requests carry one `Idempotency-Key` across all attempts,
+ *   so the server can deduplicate a retried request that did arrive
+ *
+ * Metrics (tagged with the request's own tags, never with the attempt number):
+ * - http_first_attempt_success  rate of calls that succeeded without a retry
+ * - http_eventual_success       rate of calls that succeeded after any number of attempts
+ * - http_retries                number of retry attempts sent
+ * Each attempt's http_* metrics carry an `attempt` tag of `first` or `retry`.
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { Counter } from 'k6/metrics';
+import crypto from 'k6/crypto';
+import { createLogger, responseFields } from './logger.js';
+import { newRate } from './metrics.js';
+
+const firstAttemptSuccess = newRate('http_first_attempt_success', { higherIsBetter: true });
+const eventualSuccess = newRate('http_eventual_success', { higherIsBetter: true });
+const retries = new Counter('http_retries');
+
+const log = createLogger('retry');
+
+const DEFAULTS = {
+  maxRetries: 3,
+  baseDelaySeconds: 0.5,
+  maxDelaySeconds: 10,
+  retryableStatuses: [429, 502, 503, 504],
+  retryNetworkErrors: true,
+  idempotencyHeader: 'Idempotency-Key',
+};
+
+// Methods that get an idempotency key, since retrying them may duplicate side effects
+const NON_IDEMPOTENT = ['POST', 'PATCH'];
+
+/**
+ * Generates a random (version 4) UUID for an idempotency key.
+ *
+ * @returns {string} - UUID, e.g. 3b241101-e2bb-4255-8caf-4136c566a962
+ */
+export function uuidv4() {
+  const bytes = new Uint8Array(crypto.randomBytes(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+/**
+ * Parses a Retry-After header value.
+ *
+ * @param {string} value - Delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in seconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return parseFloat(value);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max((date - Date.now()) / 1000, 0);
+}
+
+function header(response, name) {
+  const key = Object.keys(response.headers || {}).find((h) => h.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : response.headers[key];
+}
+
+/**
+ * Creates a retry policy.
+ *
+ * @param {Object} [options] - Overrides for the defaults above
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelaySeconds] - Backoff base; attempt n waits up to base * 2^n
+ * @param {number} [options.maxDelaySeconds] - Cap for backoff and Retry-After delays
+ * @param {Array<number>} [options.retryableStatuses] - Status codes worth retrying
+ * @param {boolean} [options.retryNetworkErrors] - Retry when no response was received
+ * @param {Array<number>} [options.expectedStatuses] - Statuses counted as success (default: 2xx and 3xx)
+ * @param {Function} [options.beforeAttempt] - Called before each attempt; returning false stops
+ * @param {Function} [options.afterAttempt] - Called with each attempt's response
+ * @returns {Object} - Policy with request(), isRetryable() and delayFor()
+ */
+export function createRetryPolicy(options = {}) {
+  const policy = { ...DEFAULTS, ...options };
+
+  function isSuccess(response) {
+    if (policy.expectedStatuses) {
+      return policy.expectedStatuses.includes(response.status);
+    }
+    return response.status >= 200 && response.status < 400;
+  }
+
+  function isRetryable(response) {
+    if (response.status === 0) {
+      return policy.retryNetworkErrors;
+    }
+    return policy.retryableStatuses.includes(response.status);
+  }
+
+  function delayFor(response, retry) {
+    if (response.status === 429 || response.status === 503) {
+      const retryAfter = parseRetryAfter(header(response, 'Retry-After'));
+      if (retryAfter !== null) {
+        return Math.min(retryAfter, policy.maxDelaySeconds);
+      }
+    }
+    // Full jitter: uniformly random between 0 and the capped exponential delay
+    const ceiling = Math.min(policy.baseDelaySeconds * Math.pow(2, retry), policy.maxDelaySeconds);
+    return Math.random() * ceiling;
+  }
+
+  /**
+   * Sends a request, retrying retryable outcomes.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {*} [body] - Request body
+   * @param {Object} [params] - k6 request params
+   * @returns {Object|null} - Last response, or null if beforeAttempt stopped the first attempt
+   */
+  function request(method, url, body = null, params = {}) {
+    const upperMethod = method.toUpperCase();
+    const tags = params.tags || {};
+    const headers = { ...params.headers };
+    if (NON_IDEMPOTENT.includes(upperMethod) && policy.idempotencyHeader && !headers[policy.idempotencyHeader]) {
+      headers[policy.idempotencyHeader] = uuidv4();
+    }
+
+    let response = null;
+    for (let attempt = 0; attempt <= policy.maxRetries; attempt++) {
+      if (policy.beforeAttempt && policy.beforeAttempt(attempt) === false) {
+        break;
+      }
+      if (attempt > 0) {
+        retries.add(1, tags);
+      }
+
+      response = http.request(upperMethod, url, body, {
+        ...params,
+        headers,
+        tags: { ...tags, attempt: attempt === 0 ? 'first' : 'retry' },
+      });
+      if (policy.afterAttempt) {
+        policy.afterAttempt(response, attempt);
+      }
+
+      if (attempt === 0) {
+        firstAttemptSuccess.add(isSuccess(response), tags);
+      }
+      if (!isRetryable(response) || attempt === policy.maxRetries) {
+        break;
+      }
+
+      const delay = delayFor(response, attempt);
+      log.warn('Retrying request', {
+        ...responseFields(response),
+        method: upperMethod,
+        attempt: attempt + 1,
+        retryInSeconds: Number(delay.toFixed(2)),
+      });
+      sleep(delay);
+    }
+
+    if (response !== null) {
+      eventualSuccess.add(isSuccess(response), tags);
+    }
+    return response;
+  }
+
+  return { request, isRetryable, delayFor };
+}
@@ -0,0 +1,177 @@
+/**
+ * JSON Schema Validation
+ *
+ * A small validator for the subset of JSON Schema (draft-07) the response
+ * schemas in `schemas/` use, runnable inside k6 checks without external
+ * libraries.
+ *
+ * Supported keywords: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, format (email, uri, date-time, uuid), minimum, maximum.
+ * Unknown keywords such as $schema, title and description are ignored.
+ *
+ * Each error carries the JSON path of the offending value (e.g.
+ * `$.data[3].email`) so a failed check shows exactly what drifted.
+ */
+
+import { parseJson } from './checks.js';
+import { createLogger, responseFields } from './logger.js';
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+// Maximum number of violations logged for one failed schema check
+const MAX_LOGGED_ERRORS = 3;
+
+const log = createLogger('schema');
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Validates a value against a schema, collecting every violation.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - JSON path of the value, `$` for the root
+ * @param {Array} [errors] - Accumulator for violations
+ * @returns {Array<{path: string, message: string}>} - Violations, empty if valid
+ */
+export function validate(value, schema, path = '$', errors = []) {
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')} but got ${typeOf(value)}` });
+      // Remaining keywords assume the right type
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push({ path, message: `expected constant ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `expected one of ${JSON.stringify(schema.enum)} but got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `string shorter than ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `string longer than ${schema.maxLength}` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `"${value}" does not match pattern ${schema.pattern}` });
+    }
+    if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ path, message: `"${value}" is not a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `${value} is less than minimum ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `${value} is greater than maximum ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `expected at least ${schema.minItems} item(s) but got ${value.length}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `expected at most ${schema.maxItems} item(s) but got ${value.length}` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validate(item, schema.items, childPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach((key) => {
+      if (properties[key] !== undefined) {
+        validate(value[key], properties[key], childPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(value[key], schema.additionalProperties, childPath(path, key), errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Formats violations as one readable line per error.
+ *
+ * @param {Array<{path: string, message: string}>} errors - Violations from validate()
+ * @returns {string} - e.g. `$.data[0].email: "x" is not a valid email`
+ */
+export function formatErrors(errors) {
+  return errors.map((error) => `${error.path}: ${error.message}`).join('; ');
+}
+
+/**
+ * Check builder validating the response body against a schema. Violations
+ * are logged with their JSON path, since k6 checks only record pass/fail.
+ *
+ * @param {Object} schema - JSON schema
+ * @param {string} [name] - Check name, defaults to the schema title
+ * @returns {Object} - Named check
+ */
+export function matchesSchema(schema, name) {
+  const checkName = name || `body matches ${schema.title || 'schema'}`;
+  return {
+    [checkName]: (r) => {
+      const body = parseJson(r);
+      if (body === undefined) {
+        log.warn('Response body is not valid JSON', { check: checkName, ...responseFields(r) });
+        return false;
+      }
+      const errors = validate(body, schema);
+      if (errors.length > 0) {
+        const more = errors.length > MAX_LOGGED_ERRORS ? ` (+${errors.length - MAX_LOGGED_ERRORS} more)` : '';
+        log.warn(`Schema violations: ${formatErrors(errors.slice(0, MAX_LOGGED_ERRORS))}${more}`, {
+          check: checkName,
+          ...responseFields(r),
+        });
+        return false;
+      }
+      return true;
+    },
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Per-VU Authenticated Session
+ *
+ * Keeps the access and refresh tokens of one logged-in user and makes
+ * authenticated calls with them:
+ * - attaches `Authorization: Bearer <token>` to every call made through it
+ * - reads the expiry from the JWT `exp` claim (or `expires_in`) and refreshes
+ *   proactively when the token is about to expire
+ * - on a 401, refreshes once and retries the request
+ * - keeps the rotated refresh token returned by the refresh endpoint
+ * - logs out, invalidating the tokens server-side
+ *
+ * Module scope is per VU in k6, so a session created at module level in a
+ * script is private to that VU and survives across its iterations.
+ *
+ * Metrics:
+ * - token_age_seconds       age of the access token when it is used
+ * - token_refresh_duration  latency of refresh calls
+ * - token_refresh_failures  rate of refresh calls that did not return a new token
+ * - auth_failures           rate of authenticated calls still rejected (401/403) after refreshing
+ */
+
+import http from 'k6/http';
+import encoding from 'k6/encoding';
+import { Trend } from 'k6/metrics';
+import { createLogger, responseFields } from './logger.js';
+import { newRate } from './metrics.js';
+
+const tokenAge = new Trend('token_age_seconds');
+const refreshDuration = new Trend('token_refresh_duration', true);
+const refreshFailures = newRate('token_refresh_failures', { higherIsBetter: false });
+const authFailures = newRate('auth_failures', { higherIsBetter: false });
+
+const log = createLogger('session');
+
+/**
+ * Decodes the payload of a JWT without verifying it.
+ *
+ * @param {string} token - JWT
+ * @returns {Object|null} - Claims, or null if the token is not a JWT
+ */
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    return JSON.parse(encoding.b64decode(parts[1], 'rawurl', 's'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function nowSeconds() {
+  return Date.now() / 1000;
+}
+
+/**
+ * Creates a session manager for one VU.
+ *
+ * @param {Object} config - Session settings
+ * @param {string} config.baseURL - Target base URL
+ * @param {string} config.refreshPath - Refresh endpoint path
+ * @param {string} config.logoutPath - Logout endpoint path
+ * @param {number} [config.refreshMarginSeconds] - Refresh when the token expires within this many seconds
+ * @param {Object} [config.headers] - Headers sent with every session call
+ * @returns {Object} - Session API
+ */
+export function createSession({ baseURL, refreshPath, logoutPath, refreshMarginSeconds = 30, headers = {} }) {
+  const state = {
+    accessToken: null,
+    refreshToken: null,
+    issuedAt: null,
+    expiresAt: null,
+  };
+
+  /**
+   * Stores the tokens from a login or refresh response body.
+   */
+  function storeTokens(body) {
+    const claims = decodeJwt(body.token);
+    state.accessToken = body.token;
+    state.refreshToken = body.refresh_token || state.refreshToken;
+    state.issuedAt = claims && claims.iat ? claims.iat : nowSeconds();
+    if (claims && claims.exp) {
+      state.expiresAt = claims.exp;
+    } else if (body.expires_in) {
+      state.expiresAt = nowSeconds() + body.expires_in;
+    } else {
+      state.expiresAt = null;
+    }
+  }
+
+  function clear() {
+    state.accessToken = null;
+    state.refreshToken = null;
+    state.issuedAt = null;
+    state.expiresAt = null;
+  }
+
+  function authHeaders(extra) {
+    return {
+      'Content-Type': 'application/json',
+      ...headers,
+      ...extra,
+      'Authorization': `Bearer ${state.accessToken}`,
+    };
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token.
+   *
+   * @returns {boolean} - Whether the session holds a fresh token afterwards
+   */
+  function refresh() {
+    if (!state.refreshToken) {
+      refreshFailures.add(1);
+      return false;
+    }
+
+    const response = http.post(
+      `${baseURL}${refreshPath}`,
+      JSON.stringify({ refresh_token: state.refreshToken, grant_type: 'refresh_token' }),
+      {
+        headers: authHeaders(),
+        tags: { operation: 'token_refresh' },
+        responseCallback: http.expectedStatuses(200),
+      }
+    );
+    refreshDuration.add(response.timings.duration);
+
+    let body = null;
+    if (response.status === 200) {
+      try {
+        body = response.json();
+      } catch (e) {
+        body = null;
+      }
+    }
+    if (!body || !body.token) {
+      refreshFailures.add(1);
+      log.warn('Token refresh failed', responseFields(response));
+      clear();
+      return false;
+    }
+
+    refreshFailures.add(0);
+    storeTokens(body);
+    return true;
+  }
+
+  const session = {
+    /**
+     * Starts the session from a login response body ({ token, refresh_token?, expires_in? }).
+     */
+    start(loginBody) {
+      storeTokens(loginBody);
+    },
+
+    /**
+     * Whether the session currently holds an access token.
+     */
+    isActive() {
+      return state.accessToken !== null;
+    },
+
+    /**
+     * Seconds until the access token expires, or null if unknown.
+     */
+    expiresIn() {
+      return state.expiresAt === null ? null : state.expiresAt - nowSeconds();
+    },
+
+    refresh,
+
+    /**
+     * Refreshes the token if it expires within the configured margin.
+     *
+     * @returns {boolean} - Whether the session is usable
+     */
+    ensureFresh() {
+      if (!session.isActive()) {
+        return false;
+      }
+      const remaining = session.expiresIn();
+      if (remaining !== null && remaining <= refreshMarginSeconds) {
+        return refresh();
+      }
+      return true;
+    },
+
+    /**
+     * Sends an authenticated request, refreshing once and retrying on 401.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the base URL
+     * @param {*} [body] - Request body (objects are sent as JSON)
+     * @param {Object} [params] - k6 request params; headers are merged with the auth headers
+     * @returns {Object|null} - k6 http response, or null when no usable session exists
+     */
+    request(method, path, body = null, params = {}) {
+      if (!session.ensureFresh()) {
+        authFailures.add(1);
+        return null;
+      }
+
+      const payload = body !== null && typeof body === 'object' ? JSON.stringify(body) : body;
+      const send = () => {
+        tokenAge.add(nowSeconds() - state.issuedAt);
+        return http.request(method, `${baseURL}${path}`, payload, {
+          ...params,
+          headers: authHeaders(params.headers),
+        });
+      };
+
+      let response = send();
+      if (response.status === 401 && refresh()) {
+        response = send();
+      }
+      authFailures.add(response.status === 401 || response.status === 403);
+      return response;
+    },
+
+    /**
+     * Logs out and forgets the tokens.
+     *
+     * @returns {boolean} - Whether the server accepted the logout
+     */
+    logout() {
+      if (!session.isActive()) {
+        return false;
+      }
+      const response = http.post(
+        `${baseURL}${logoutPath}`,
+        JSON.stringify({ refresh_token: state.refreshToken }),
+        { headers: authHeaders(), tags: { operation: 'logout' } }
+      );
+      clear();
+      return response.status >= 200 && response.status < 300;
+    },
+
+    /**
+     * Exports the tokens, e.g. to hand a setup() session over to teardown().
+     */
+    toJSON() {
+      return { token: state.accessToken, refresh_token: state.refreshToken };
+    },
+  };
+
+  return session;
+}
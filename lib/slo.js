@@ -0,0 +1,261 @@
+/**
+ * Service Level Objectives and Error Budgets
+ *
+ * An SLO states what share of an endpoint's requests must be good over the
+ * run. Two objectives are supported per endpoint:
+ *
+ *   {
+ *     "latency": { "thresholdMs": 300, "target": 0.95 },   // 95% answered within 300ms
+ *     "availability": { "target": 0.99 }                   // 99% answered with an expected status
+ *   }
+ *
+ * Latency is judged on available requests only, so fast failures do not count
+ * as fast answers. The error budget is the share of requests allowed to be bad
+ * (1 - target); the burn rate is how fast it is spent: the observed bad share
+ * divided by the budget. A burn rate of 1 spends exactly the budget by the end
+ * of the run, 5 spends it five times over.
+ *
+ * During the run:
+ * - every request adds a sample to `slo_good`, tagged with `endpoint` and
+ *   `slo` (latency or availability)
+ * - k6 evaluates the thresholds from sloThresholds() continuously; when the
+ *   burn rate so far exceeds SLO_ABORT_BURN_RATE (after SLO_ABORT_DELAY
+ *   seconds, so a few early failures do not end the run) the test is aborted
+ * - each VU also computes the burn rate over windows of SLO_WINDOW seconds
+ *   and records it in `slo_burn_rate`, for dashboards that follow the run live
+ *
+ * At the end, sloReport() lists the remaining budget per endpoint for the
+ * console and Markdown reports (see buildReports in summary.js).
+ */
+
+import { Trend } from 'k6/metrics';
+import { createLogger } from './logger.js';
+import { newRate } from './metrics.js';
+
+// Configuration entries for lib/config.js
+export const SLO_SCHEMA = {
+  SLO_ABORT_BURN_RATE: { type: 'number', default: 5, min: 0 },   // Abort when the budget burns this many times too fast; 0 = never
+  SLO_ABORT_DELAY: { type: 'integer', default: 60, min: 0 },     // Seconds before the abort thresholds are evaluated
+  SLO_WINDOW: { type: 'integer', default: 30, min: 1 },          // Seconds per live burn-rate window (per VU)
+};
+
+const sloGood = newRate('slo_good', { higherIsBetter: true });
+const sloBurnRate = new Trend('slo_burn_rate');
+
+const log = createLogger('slo');
+
+// A window with fewer requests says too little to report a burn rate
+const MIN_WINDOW_EVENTS = 10;
+
+const OBJECTIVES = ['latency', 'availability'];
+
+// Per-VU settings and live windows, keyed by endpoint and objective
+const settings = { abortBurnRate: 5, abortDelaySeconds: 60, windowSeconds: 30 };
+const windows = {};
+
+/**
+ * Applies the SLO settings of a script. Call in the init context, before
+ * sloThresholds().
+ *
+ * @param {Object} config - Resolved configuration containing the SLO_SCHEMA entries
+ */
+export function configureSlos(config) {
+  settings.abortBurnRate = config.SLO_ABORT_BURN_RATE;
+  settings.abortDelaySeconds = config.SLO_ABORT_DELAY;
+  settings.windowSeconds = config.SLO_WINDOW;
+}
+
+function checkTarget(target, label) {
+  if (!(typeof target === 'number' && target > 0 && target < 1)) {
+    throw new Error(`${label}: target must be a share between 0 and 1 (exclusive), e.g. 0.99`);
+  }
+}
+
+/**
+ * Validates an SLO definition. Call in the init context.
+ *
+ * @param {Object|null|false|undefined} spec - { latency, availability }; an objective set to null is skipped
+ * @param {string} label - Where the definition comes from, for error messages
+ * @returns {Object|null} - Normalized SLO, or null when it has no objectives
+ */
+export function compileSlo(spec, label) {
+  if (!spec) {
+    return null;
+  }
+  const unknown = Object.keys(spec).filter((key) => !OBJECTIVES.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label}: unknown SLO objective(s) ${unknown.join(', ')}, expected ${OBJECTIVES.join(' or ')}`);
+  }
+
+  const slo = {};
+  if (spec.latency) {
+    checkTarget(spec.latency.target, `${label}, latency`);
+    if (!(typeof spec.latency.thresholdMs === 'number' && spec.latency.thresholdMs > 0)) {
+      throw new Error(`${label}, latency: thresholdMs must be a positive number of milliseconds`);
+    }
+    slo.latency = { thresholdMs: spec.latency.thresholdMs, target: spec.latency.target };
+  }
+  if (spec.availability) {
+    checkTarget(spec.availability.target, `${label}, availability`);
+    slo.availability = { target: spec.availability.target };
+  }
+  return Object.keys(slo).length > 0 ? slo : null;
+}
+
+// Adds an event to the VU's window and reports the window when it is over
+function observe(endpoint, objective, target, good) {
+  const key = `${endpoint}|${objective}`;
+  const now = Date.now();
+  const window = windows[key] || (windows[key] = { start: now, good: 0, total: 0 });
+  window.total++;
+  if (good) {
+    window.good++;
+  }
+  if (now - window.start < settings.windowSeconds * 1000) {
+    return;
+  }
+
+  if (window.total >= MIN_WINDOW_EVENTS) {
+    const burnRate = (1 - window.good / window.total) / (1 - target);
+    sloBurnRate.add(burnRate, { endpoint, slo: objective });
+    if (settings.abortBurnRate > 0 && burnRate > settings.abortBurnRate) {
+      log.warn('Error budget burning fast', { endpoint, slo: objective, burnRate: Number(burnRate.toFixed(2)), windowSeconds: settings.windowSeconds });
+    }
+  }
+  windows[key] = { start: now, good: 0, total: 0 };
+}
+
+/**
+ * Records one request against an endpoint's SLO.
+ *
+ * @param {string} endpoint - Endpoint id, the `endpoint` tag
+ * @param {Object|null} slo - Result of compileSlo(); null does nothing
+ * @param {Object} result - The request's outcome
+ * @param {number} result.durationMs - Response time
+ * @param {boolean} result.ok - Whether it was answered with an expected status
+ */
+export function recordSlo(endpoint, slo, { durationMs, ok }) {
+  if (!slo) {
+    return;
+  }
+  if (slo.availability) {
+    sloGood.add(ok, { endpoint, slo: 'availability' });
+    observe(endpoint, 'availability', slo.availability.target, ok);
+  }
+  if (slo.latency && ok) {
+    const fast = durationMs <= slo.latency.thresholdMs;
+    sloGood.add(fast, { endpoint, slo: 'latency' });
+    observe(endpoint, 'latency', slo.latency.target, fast);
+  }
+}
+
+function metricName(endpoint, objective) {
+  return `slo_good{endpoint:${endpoint},slo:${objective}}`;
+}
+
+// Rounds away floating point noise such as 0.9500000000000001 in threshold expressions
+function round(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Builds the thresholds of a set of SLOs: the target itself, judged at the
+ * end of the run, and an aborting threshold at SLO_ABORT_BURN_RATE times the
+ * error budget.
+ *
+ * @param {Object} slos - Results of compileSlo() keyed by endpoint id
+ * @returns {Object} - Thresholds keyed by tagged metric name
+ */
+export function sloThresholds(slos) {
+  const thresholds = {};
+  Object.keys(slos).forEach((endpoint) => {
+    OBJECTIVES.filter((objective) => slos[endpoint] && slos[endpoint][objective]).forEach((objective) => {
+      const target = slos[endpoint][objective].target;
+      const expressions = [`rate>=${target}`];
+      if (settings.abortBurnRate > 0) {
+        expressions.push({
+          threshold: `rate>=${round(Math.max(1 - settings.abortBurnRate * (1 - target), 0))}`,
+          abortOnFail: true,
+          delayAbortEval: `${settings.abortDelaySeconds}s`,
+        });
+      }
+      thresholds[metricName(endpoint, objective)] = expressions;
+    });
+  });
+  return thresholds;
+}
+
+/**
+ * Computes the error budget of every SLO from the end-of-test summary.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {Object} slos - Results of compileSlo() keyed by endpoint id
+ * @returns {Array<Object>} - One row per endpoint and objective that received requests
+ */
+export function sloReport(data, slos) {
+  const rows = [];
+  Object.keys(slos).sort().forEach((endpoint) => {
+    OBJECTIVES.filter((objective) => slos[endpoint] && slos[endpoint][objective]).forEach((objective) => {
+      const metric = data.metrics[metricName(endpoint, objective)];
+      if (!metric || metric.values.passes + metric.values.fails === 0) {
+        return;
+      }
+      const definition = slos[endpoint][objective];
+      const events = metric.values.passes + metric.values.fails;
+      const burnRate = (metric.values.fails / events) / (1 - definition.target);
+      rows.push({
+        endpoint,
+        objective: objective === 'latency' ? `latency ≤ ${definition.thresholdMs}ms` : 'availability',
+        target: definition.target,
+        actual: metric.values.rate,
+        events,
+        burnRate,
+        budgetRemaining: 1 - burnRate,
+        met: metric.values.rate >= definition.target,
+      });
+    });
+  });
+  return rows;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Renders the SLO rows as a Markdown section.
+ *
+ * @param {Array<Object>} rows - Rows from sloReport()
+ * @returns {string} - Markdown
+ */
+export function sloMarkdown(rows) {
+  const missed = rows.filter((row) => !row.met).length;
+  const lines = [
+    '## Service Level Objectives',
+    '',
+    `${rows.length - missed} of ${rows.length} SLO(s) met. Budget remaining is the share of the error budget (1 - target) not spent; below 0% the SLO was missed.`,
+    '',
+    '| Endpoint | Objective | Target | Actual | Requests | Burn rate | Budget remaining | Result |',
+    '|----------|-----------|--------|--------|----------|-----------|------------------|--------|',
+  ];
+  rows.forEach((row) => {
+    lines.push(`| \`${row.endpoint}\` | ${row.objective} | ${percent(row.target)} | ${percent(row.actual)} | ${row.events} | ${row.burnRate.toFixed(2)}x | ${percent(row.budgetRemaining)} | ${row.met ? '✅ met' : '❌ missed'} |`);
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Renders the SLO rows for the console: a count, plus every missed SLO.
+ *
+ * @param {Array<Object>} rows - Rows from sloReport()
+ * @returns {string} - Plain text
+ */
+export function sloText(rows) {
+  const missed = rows.filter((row) => !row.met);
+  const header = `\n     SLOs: ${rows.length - missed.length} of ${rows.length} met\n`;
+  const lines = missed.map((row) =>
+    `     ✗ ${row.endpoint} ${row.objective}: ${percent(row.actual)} < ${percent(row.target)} (burn rate ${row.burnRate.toFixed(2)}x, budget ${percent(row.budgetRemaining)})`
+  );
+  return lines.length === 0 ? header : `${header}${lines.join('\n')}\n`;
+}
@@ -0,0 +1,381 @@
+/**
+ * End-of-test Reports
+ *
+ * Shared `handleSummary` implementation writing, next to the console summary
+ * (rendered here rather than with the jslib k6-summary module, so scripts
+ * need no network at startup):
+ * - an HTML report with metric tables, threshold results and checks per group
+ * - a JUnit XML file, so CI shows every failed check or threshold as a failed test case
+ * - a Markdown summary with the sections of guideResult.md, filled in from the run
+ *
+ * Files are written to REPORT_DIR (default `reports`) as
+ * `<name>-summary.html`, `<name>-junit.xml` and `<name>-summary.md`.
+ * With a baseline loaded (see lib/baseline.js) the console and Markdown
+ * output include the comparison, and SAVE_BASELINE writes this run's baseline.
+ * With SLOs (see lib/slo.js) they also show the error budget left per endpoint.
+ *
+ * Usage in a script:
+ *   export function handleSummary(data) {
+ *     return buildReports(data, { name: 'firstTest' });
+ *   }
+ */
+
+import { extractBaseline, compareToBaseline, comparisonMarkdown, comparisonText } from './baseline.js';
+import { sloReport, sloMarkdown, sloText } from './slo.js';
+
+const REPORT_DIR = __ENV.REPORT_DIR || 'reports';
+
+// Metrics shown in the "timing breakdown" section, in request order
+const TIMING_METRICS = ['http_req_blocked', 'http_req_connecting', 'http_req_tls_handshaking', 'http_req_sending', 'http_req_waiting', 'http_req_receiving'];
+
+/**
+ * Formats a duration in milliseconds the way the k6 console does (µs, ms, s).
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human readable duration
+ */
+export function formatDuration(ms) {
+  if (ms === undefined || ms === null || Number.isNaN(ms)) {
+    return '-';
+  }
+  if (ms < 1) {
+    return `${(ms * 1000).toFixed(2)}µs`;
+  }
+  if (ms < 1000) {
+    return `${ms.toFixed(2)}ms`;
+  }
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Formats a byte count with decimal units (B, kB, MB).
+ *
+ * @param {number} bytes - Byte count
+ * @returns {string} - Human readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1000) {
+    return `${Math.round(bytes)} B`;
+  }
+  if (bytes < 1000 * 1000) {
+    return `${(bytes / 1000).toFixed(1)} kB`;
+  }
+  return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+}
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+/**
+ * Formats the values of one metric into a single line, depending on its type.
+ *
+ * @param {Object} metric - Metric from the summary data
+ * @returns {string} - e.g. `avg=65.13ms min=60.13ms ...` or `85.71% (2802 out of 3269)`
+ */
+export function formatMetricValues(metric) {
+  const values = metric.values;
+  if (metric.type === 'trend') {
+    const format = metric.contains === 'time' ? formatDuration : (v) => v.toFixed(2);
+    return Object.keys(values).map((stat) => `${stat}=${format(values[stat])}`).join(' ');
+  }
+  if (metric.type === 'rate') {
+    return `${formatPercent(values.rate)} (${values.passes} out of ${values.passes + values.fails})`;
+  }
+  if (metric.type === 'counter') {
+    if (metric.contains === 'data') {
+      return `${formatBytes(values.count)} (${formatBytes(values.rate)}/s)`;
+    }
+    return `${values.count} (${values.rate.toFixed(2)}/s)`;
+  }
+  return Object.keys(values).map((stat) => `${stat}=${values[stat]}`).join(' ');
+}
+
+/**
+ * Flattens every threshold of every metric into a list.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @returns {Array<{metric: string, expression: string, ok: boolean}>} - Threshold results
+ */
+export function collectThresholds(data) {
+  const results = [];
+  Object.keys(data.metrics).sort().forEach((metric) => {
+    const thresholds = data.metrics[metric].thresholds || {};
+    Object.keys(thresholds).forEach((expression) => {
+      results.push({ metric, expression, ok: thresholds[expression].ok });
+    });
+  });
+  return results;
+}
+
+/**
+ * Flattens the group tree into a list of groups that have checks.
+ *
+ * @param {Object} group - Group from the summary data (root_group to start)
+ * @param {Array} [result] - Accumulator
+ * @returns {Array<{name: string, checks: Array}>} - Groups with their checks
+ */
+export function collectGroups(group, result = []) {
+  if (group.checks && group.checks.length > 0) {
+    result.push({ name: group.path ? group.path.replace(/^::/, '').replace(/::/g, ' / ') : '(root)', checks: group.checks });
+  }
+  (group.groups || []).forEach((child) => collectGroups(child, result));
+  return result;
+}
+
+const COLORS = { green: '\u001b[32m', red: '\u001b[31m', reset: '\u001b[0m' };
+
+function checkLines(group, indent, paint) {
+  const lines = [];
+  (group.checks || []).forEach((c) => {
+    if (c.fails === 0) {
+      lines.push(`${indent}${paint('green', `✓ ${c.name}`)}`);
+    } else {
+      lines.push(`${indent}${paint('red', `✗ ${c.name}`)}`);
+      lines.push(`${indent} ↳  ${Math.floor((c.passes / (c.passes + c.fails)) * 100)}% — ✓ ${c.passes} / ✗ ${c.fails}`);
+    }
+  });
+  (group.groups || []).forEach((child) => {
+    lines.push('', `${indent}█ ${child.name}`, '', ...checkLines(child, `${indent}  `, paint));
+  });
+  return lines;
+}
+
+/**
+ * Renders the console summary in the layout of k6's own: checks per group,
+ * then every metric with ✓/✗ for metrics that have thresholds.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.indent] - Prefix of every line
+ * @param {boolean} [options.enableColors] - Color passed and failed checks and thresholds
+ * @returns {string} - Plain text
+ */
+export function textSummary(data, { indent = ' ', enableColors = false } = {}) {
+  const paint = (color, text) => (enableColors ? `${COLORS[color]}${text}${COLORS.reset}` : text);
+  const lines = checkLines(data.root_group || {}, `${indent}   `, paint);
+
+  const names = Object.keys(data.metrics).sort();
+  const width = names.reduce((max, metric) => Math.max(max, metric.length), 0) + 3;
+  lines.push('');
+  names.forEach((metric) => {
+    const thresholds = Object.keys(data.metrics[metric].thresholds || {});
+    const failed = thresholds.some((expression) => !data.metrics[metric].thresholds[expression].ok);
+    let mark = ' ';
+    if (thresholds.length > 0) {
+      mark = failed ? paint('red', '✗') : paint('green', '✓');
+    }
+    lines.push(`${indent}${mark} ${metric}${'.'.repeat(width - metric.length)}: ${formatMetricValues(data.metrics[metric])}`);
+  });
+  return `\n${lines.join('\n')}\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function testDurationMs(data) {
+  return data.state && data.state.testRunDurationMs ? data.state.testRunDurationMs : 0;
+}
+
+/**
+ * Renders the HTML report.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {string} name - Script name shown in the title
+ * @returns {string} - HTML document
+ */
+export function htmlReport(data, name) {
+  const thresholds = collectThresholds(data);
+  const failedThresholds = thresholds.filter((t) => !t.ok).length;
+
+  const metricRows = Object.keys(data.metrics).sort().map((metric) => `
+      <tr><td>${escapeXml(metric)}</td><td>${data.metrics[metric].type}</td><td>${escapeXml(formatMetricValues(data.metrics[metric]))}</td></tr>`).join('');
+
+  const thresholdRows = thresholds.map((t) => `
+      <tr class="${t.ok ? 'pass' : 'fail'}"><td>${escapeXml(t.metric)}</td><td>${escapeXml(t.expression)}</td><td>${t.ok ? 'PASS' : 'FAIL'}</td></tr>`).join('');
+
+  const groupSections = collectGroups(data.root_group).map((group) => `
+    <h3>${escapeXml(group.name)}</h3>
+    <table>
+      <tr><th>Check</th><th>Passes</th><th>Fails</th><th>Result</th></tr>${group.checks.map((c) => `
+      <tr class="${c.fails === 0 ? 'pass' : 'fail'}"><td>${escapeXml(c.name)}</td><td>${c.passes}</td><td>${c.fails}</td><td>${c.fails === 0 ? 'PASS' : 'FAIL'}</td></tr>`).join('')}
+    </table>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>k6 report - ${escapeXml(name)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+    th { background: #f0f0f0; }
+    .pass td:last-child { color: #1a7f37; font-weight: bold; }
+    .fail td:last-child { color: #cf222e; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>k6 report - ${escapeXml(name)}</h1>
+  <p>Duration: ${formatDuration(testDurationMs(data))} &middot; Thresholds: ${thresholds.length - failedThresholds} passed, ${failedThresholds} failed</p>
+
+  <h2>Thresholds</h2>
+  <table>
+    <tr><th>Metric</th><th>Threshold</th><th>Result</th></tr>${thresholdRows}
+  </table>
+
+  <h2>Checks by Group</h2>${groupSections}
+
+  <h2>Metrics</h2>
+  <table>
+    <tr><th>Metric</th><th>Type</th><th>Values</th></tr>${metricRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a JUnit XML report: one test suite per group with a test case per
+ * check, plus a "thresholds" suite with a test case per threshold.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {string} name - Script name used as the suites name
+ * @returns {string} - JUnit XML document
+ */
+export function junitReport(data, name) {
+  const seconds = (testDurationMs(data) / 1000).toFixed(3);
+  const suites = collectGroups(data.root_group).map((group) => {
+    const failures = group.checks.filter((c) => c.fails > 0).length;
+    const cases = group.checks.map((c) => {
+      const failure = c.fails > 0
+        ? `<failure message="${escapeXml(`${c.fails} of ${c.passes + c.fails} checks failed`)}"/>`
+        : '';
+      return `    <testcase classname="${escapeXml(`${name}.${group.name}`)}" name="${escapeXml(c.name)}">${failure}</testcase>`;
+    });
+    return `  <testsuite name="${escapeXml(group.name)}" tests="${group.checks.length}" failures="${failures}">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  const thresholds = collectThresholds(data);
+  const thresholdCases = thresholds.map((t) => {
+    const failure = t.ok ? '' : `<failure message="${escapeXml(`${t.metric} ${t.expression} was not met`)}"/>`;
+    return `    <testcase classname="${escapeXml(`${name}.thresholds`)}" name="${escapeXml(`${t.metric}: ${t.expression}`)}">${failure}</testcase>`;
+  });
+  suites.push(`  <testsuite name="thresholds" tests="${thresholds.length}" failures="${thresholds.filter((t) => !t.ok).length}">\n${thresholdCases.join('\n')}\n  </testsuite>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="${escapeXml(name)}" time="${seconds}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function metricLine(data, metric) {
+  const padded = `${metric}${'.'.repeat(Math.max(31 - metric.length, 3))}`;
+  return `${padded}: ${formatMetricValues(data.metrics[metric])}`;
+}
+
+/**
+ * Renders a Markdown summary following the structure of guideResult.md.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {string} name - Script name shown in the title
+ * @returns {string} - Markdown document
+ */
+export function markdownReport(data, name) {
+  const m = data.metrics;
+  const lines = [`# Performance Test Results: ${name}`, ''];
+  const has = (metric) => m[metric] !== undefined;
+  const block = (metrics) => ['```', ...metrics.filter(has).map((metric) => metricLine(data, metric)), '```', ''];
+
+  lines.push('## 1. Scenario Overview', '');
+  lines.push(`- **Test Duration**: ${formatDuration(testDurationMs(data))}`);
+  if (has('vus_max')) {
+    lines.push(`- **Maximum Virtual Users (VUs)**: ${m.vus_max.values.max}`);
+  }
+  if (has('iterations')) {
+    lines.push(`- **Iterations**: ${m.iterations.values.count} (${m.iterations.values.rate.toFixed(2)}/s)`);
+  }
+  lines.push('');
+
+  lines.push('## 2. Checks and Validation', '', ...block(['checks']));
+  lines.push('## 3. Data Transfer', '', ...block(['data_received', 'data_sent']));
+
+  if (has('errors') || has('http_req_failed')) {
+    lines.push('## 4. Error Handling', '', ...block(['errors', 'http_req_failed']));
+  }
+
+  if (has('http_req_duration')) {
+    const values = m.http_req_duration.values;
+    lines.push('## 5. Request Duration', '', ...block(['http_req_duration']));
+    lines.push('| Statistic | Value |', '|-----------|-------|');
+    Object.keys(values).forEach((stat) => lines.push(`| ${stat} | ${formatDuration(values[stat])} |`));
+    lines.push('');
+  }
+
+  lines.push('## 6. Request Timing Components', '', ...block(TIMING_METRICS));
+  lines.push('## 7. Load Characteristics', '', ...block(['http_reqs', 'iterations', 'vus', 'vus_max']));
+
+  const thresholds = collectThresholds(data);
+  if (thresholds.length > 0) {
+    lines.push('## 8. Thresholds', '', '| Metric | Threshold | Result |', '|--------|-----------|--------|');
+    thresholds.forEach((t) => lines.push(`| \`${t.metric}\` | \`${t.expression}\` | ${t.ok ? '✅ pass' : '❌ fail'} |`));
+    lines.push('');
+  }
+
+  const groups = collectGroups(data.root_group);
+  if (groups.length > 0) {
+    lines.push('## 9. Checks by Group', '');
+    groups.forEach((group) => {
+      lines.push(`### ${group.name}`, '', '| Check | Passes | Fails |', '|-------|--------|-------|');
+      group.checks.forEach((c) => lines.push(`| ${c.fails === 0 ? '✅' : '❌'} ${escapeMarkdown(c.name)} | ${c.passes} | ${c.fails} |`));
+      lines.push('');
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the handleSummary result: console summary plus the three report files.
+ *
+ * @param {Object} data - Summary data passed to handleSummary
+ * @param {Object} config - Report settings
+ * @param {string} config.name - Script name, used in titles and file names
+ * @param {Object|null} [config.baseline] - Baseline from loadBaseline() to compare against
+ * @param {Object|null} [config.slos] - SLOs from compileSlo() keyed by endpoint id
+ * @returns {Object} - Output map for handleSummary
+ */
+export function buildReports(data, { name, baseline = null, slos = null }) {
+  let stdout = textSummary(data, { indent: ' ', enableColors: true });
+  let markdown = markdownReport(data, name);
+
+  const sloRows = slos ? sloReport(data, slos) : [];
+  if (sloRows.length > 0) {
+    stdout += sloText(sloRows);
+    markdown += `\n${sloMarkdown(sloRows)}`;
+  }
+
+  if (baseline) {
+    const rows = compareToBaseline(data, baseline);
+    stdout += comparisonText(rows);
+    markdown += `\n${comparisonMarkdown(rows, baseline)}`;
+  }
+
+  const outputs = {
+    stdout,
+    [`${REPORT_DIR}/${name}-summary.html`]: htmlReport(data, name),
+    [`${REPORT_DIR}/${name}-junit.xml`]: junitReport(data, name),
+    [`${REPORT_DIR}/${name}-summary.md`]: markdown,
+  };
+  if (__ENV.SAVE_BASELINE) {
+    outputs[__ENV.SAVE_BASELINE] = `${JSON.stringify(extractBaseline(data), null, 2)}\n`;
+  }
+  return outputs;
+}
@@ -0,0 +1,54 @@
+/**
+ * Template Rendering
+ *
+ * Replaces `{{name}}` placeholders in strings, arrays and objects with values
+ * from a variables object. Dotted names (`{{env.USER_ID}}`, `{{user.id}}`)
+ * are resolved with the same path syntax as the check builders.
+ *
+ * A string consisting of a single placeholder is replaced by the raw value,
+ * so `"{{userId}}"` renders to the number 7 rather than the string "7".
+ * Unknown placeholders are left untouched to make mistakes visible.
+ */
+
+import { getPath } from './checks.js';
+
+const PLACEHOLDER = /\{\{\s*([\w.[\]-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.[\]-]+)\s*\}\}$/;
+
+/**
+ * Renders a template value.
+ *
+ * @param {*} template - String, array or object containing placeholders
+ * @param {Object} vars - Values available to the placeholders
+ * @returns {*} - Rendered copy of the template
+ */
+export function render(template, vars) {
+  if (typeof template === 'string') {
+    const single = SINGLE_PLACEHOLDER.exec(template);
+    if (single) {
+      const value = getPath(vars, single[1]);
+      return value === undefined ? template : value;
+    }
+    return template.replace(PLACEHOLDER, (placeholder, name) => {
+      const value = getPath(vars, name);
+      if (value === undefined) {
+        return placeholder;
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => render(item, vars));
+  }
+
+  if (template !== null && typeof template === 'object') {
+    const rendered = {};
+    Object.keys(template).forEach((key) => {
+      rendered[key] = render(template[key], vars);
+    });
+    return rendered;
+  }
+
+  return template;
+}
@@ -0,0 +1,241 @@
+/**
+ * WebSocket Sessions
+ *
+ * Runs one scripted session against a JSON notification channel (see
+ * mock/notifications.mjs for the protocol):
+ *
+ *   connect -> subscribe -> N pings, one every intervalMs -> unsubscribe -> close
+ *
+ * Each ping carries an id that the server echoes in its pong; the time between
+ * the two is the message round trip, the WebSocket counterpart of a request's
+ * response time. Notifications pushed by the server while the session is open
+ * are counted. A session that is not done after `timeoutSeconds` is closed and
+ * its missing pongs count as failures.
+ *
+ * The session result is judged with the same check conventions as HTTP
+ * responses (named predicates run by checkResponse), and each ping is recorded
+ * against the endpoint's SLO like a request.
+ *
+ * Metrics, tagged with `endpoint`, besides k6's own ws_* metrics:
+ * - ws_round_trip           ping to pong time
+ * - ws_subscribe_duration   subscribe to confirmation time
+ * - ws_notifications        notifications received
+ * - errors                  rate of failed sessions, shared with the HTTP scripts
+ */
+
+import ws from 'k6/ws';
+import { Counter, Trend } from 'k6/metrics';
+import { checkResponse, mergeChecks } from './checks.js';
+import { createLogger } from './logger.js';
+import { compileSlo, recordSlo } from './slo.js';
+import { errorRate } from './metrics.js';
+
+const roundTrip = new Trend('ws_round_trip', true);
+const subscribeDuration = new Trend('ws_subscribe_duration', true);
+const notifications = new Counter('ws_notifications');
+
+const log = createLogger('websocket');
+
+/**
+ * Checks the connection was upgraded (status 101).
+ *
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function connected(name) {
+  return {
+    [name || 'ws status is 101']: (session) => session.status === 101,
+  };
+}
+
+/**
+ * Checks the server confirmed the subscription.
+ *
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function subscribed(name) {
+  return {
+    [name || 'subscription confirmed']: (session) => session.subscribed,
+  };
+}
+
+/**
+ * Checks every ping was answered, each within a time budget.
+ *
+ * @param {number} maxMs - Maximum round trip in milliseconds
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function roundTrips(maxMs, name) {
+  return {
+    [name || `all pongs within ${maxMs}ms`]: (session) =>
+      session.roundTrips.length === session.pings && session.roundTrips.every((ms) => ms < maxMs),
+  };
+}
+
+/**
+ * Checks at least a number of notifications arrived during the session.
+ *
+ * @param {number} min - Minimum number of notifications
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function notified(min, name) {
+  return {
+    [name || `received at least ${min} notification(s)`]: (session) => session.notifications >= min,
+  };
+}
+
+/**
+ * Checks the session ended on the client's close, without error messages or a timeout.
+ *
+ * @param {string} [name] - Check name
+ * @returns {Object} - Named check
+ */
+export function closedCleanly(name) {
+  return {
+    [name || 'session closed cleanly']: (session) => !session.timedOut && session.errors.length === 0,
+  };
+}
+
+/**
+ * Defines a session against one channel. Call in the init context.
+ *
+ * @param {Object} options - Session options
+ * @param {string} options.url - Full ws:// or wss:// URL
+ * @param {string} options.channel - Channel to subscribe to
+ * @param {string} [options.endpoint] - `endpoint` tag (default: the URL's path)
+ * @param {number} [options.pings] - Pings per session (default 5)
+ * @param {number} [options.intervalMs] - Time between pings (default 1000)
+ * @param {number} [options.maxRoundTripMs] - Round trip budget for the default checks (default 500)
+ * @param {number} [options.timeoutSeconds] - Closes a session still open after this long (default 30)
+ * @param {Object} [options.headers] - Handshake headers
+ * @param {Array<Object>} [options.checks] - Extra check sets, e.g. notified(1)
+ * @param {Object} [options.slo] - SLO definition (see slo.js); latency applies to round trips
+ * @param {Object} [options.tags] - Extra tags for the connection, checks and metrics
+ * @returns {Object} - { endpoint, slo, run() }
+ */
+export function createWebSocketSession(options) {
+  const settings = { pings: 5, intervalMs: 1000, maxRoundTripMs: 500, timeoutSeconds: 30, headers: {}, ...options };
+  if (!/^wss?:\/\//.test(settings.url || '')) {
+    throw new Error(`WebSocket URL must start with ws:// or wss://, got "${settings.url}"`);
+  }
+  if (!settings.channel) {
+    throw new Error('WebSocket session needs a channel to subscribe to');
+  }
+  if (!(Number.isInteger(settings.pings) && settings.pings > 0)) {
+    throw new Error(`WebSocket session pings must be a positive integer, got ${settings.pings}`);
+  }
+
+  const endpoint = settings.endpoint || settings.url.replace(/^wss?:\/\/[^/]*/, '').replace(/\?.*$/, '') || '/';
+  const tags = { endpoint, ...settings.tags };
+  const checks = [
+    connected(),
+    subscribed(),
+    roundTrips(settings.maxRoundTripMs),
+    closedCleanly(),
+    ...(settings.checks || []),
+  ];
+  mergeChecks(checks);
+  const slo = compileSlo(settings.slo, `WebSocket ${endpoint} SLO`);
+
+  /**
+   * Runs the session; returns when the connection is closed.
+   *
+   * @returns {Object} - Session result: { status, subscribed, pings, roundTrips, notifications, errors, timedOut, passed }
+   */
+  function run() {
+    const session = { status: 0, subscribed: false, pings: settings.pings, roundTrips: [], notifications: 0, errors: [], timedOut: false };
+    const pending = {};
+    let subscribeSentAt = 0;
+    let sent = 0;
+
+    const onSocket = (socket) => {
+      const send = (message) => socket.send(JSON.stringify(message));
+
+      const ping = () => {
+        if (sent < settings.pings) {
+          sent++;
+          pending[sent] = Date.now();
+          send({ type: 'ping', id: String(sent), sentAt: pending[sent] });
+        }
+      };
+
+      socket.on('open', () => {
+        subscribeSentAt = Date.now();
+        send({ type: 'subscribe', channel: settings.channel });
+        socket.setTimeout(() => {
+          session.timedOut = true;
+          socket.close();
+        }, settings.timeoutSeconds * 1000);
+      });
+
+      socket.on('message', (text) => {
+        let message;
+        try {
+          message = JSON.parse(text);
+        } catch (e) {
+          session.errors.push(`not JSON: ${String(text).substring(0, 100)}`);
+          return;
+        }
+
+        if (message.type === 'subscribed' && message.channel === settings.channel && !session.subscribed) {
+          session.subscribed = true;
+          subscribeDuration.add(Date.now() - subscribeSentAt, tags);
+          ping();
+          socket.setInterval(ping, settings.intervalMs);
+        } else if (message.type === 'pong' && pending[message.id] !== undefined) {
+          const ms = Date.now() - pending[message.id];
+          delete pending[message.id];
+          session.roundTrips.push(ms);
+          roundTrip.add(ms, tags);
+          // The last pong ends the session
+          if (session.roundTrips.length === settings.pings) {
+            send({ type: 'unsubscribe', channel: settings.channel });
+            socket.close();
+          }
+        } else if (message.type === 'notification') {
+          session.notifications++;
+          notifications.add(1, tags);
+        } else if (message.type === 'error') {
+          session.errors.push(message.message);
+        }
+      });
+
+      socket.on('error', (e) => {
+        session.errors.push(e.error());
+      });
+    };
+
+    // k6 throws when the handshake fails (refused connection, non-101 answer)
+    try {
+      const response = ws.connect(settings.url, { headers: settings.headers, tags }, onSocket);
+      session.status = response ? response.status : 0;
+    } catch (e) {
+      session.errors.push(String(e.message || e));
+    }
+
+    const checksPassed = checkResponse(session, checks, tags);
+    errorRate.add(!checksPassed, tags);
+    // Each ping counts as a request: answered ones by their round trip, missing ones as unavailable
+    for (let i = 0; i < settings.pings; i++) {
+      const answered = i < session.roundTrips.length;
+      recordSlo(endpoint, slo, { durationMs: answered ? session.roundTrips[i] : 0, ok: answered });
+    }
+
+    if (!checksPassed) {
+      log.error('WebSocket session failed', {
+        endpoint,
+        status: session.status,
+        subscribed: session.subscribed,
+        pongs: `${session.roundTrips.length}/${settings.pings}`,
+        timedOut: session.timedOut,
+        errors: session.errors.slice(0, 3).join('; '),
+      });
+    }
+    return { ...session, passed: checksPassed };
+  }
+
+  return { endpoint, slo, run };
+}
@@ -0,0 +1,166 @@
+/**
+ * Stand-in Authentication Endpoints
+ *
+ * Token endpoints for the POST template (examples_postRequestPayload.js):
+ * login, refresh, logout and a protected profile resource. Access tokens are
+ * HS256-signed JWTs with a short expiry so refresh paths are exercised in
+ * ordinary runs; refresh tokens rotate on every use.
+ *
+ * Only the seeded accounts in data/users.csv can log in, the same file the
+ * POST template reads its credentials from.
+ *
+ * Environment:
+ *   MOCK_TOKEN_TTL      access token lifetime in seconds (default 60)
+ *   MOCK_TOKEN_SECRET   HMAC secret for signing tokens
+ *   MOCK_ACCOUNTS_FILE  CSV file with email and password columns (default data/users.csv)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const TOKEN_TTL = process.env.MOCK_TOKEN_TTL ? parseInt(process.env.MOCK_TOKEN_TTL, 10) : 60;
+const SECRET = process.env.MOCK_TOKEN_SECRET || 'reqres-stand-in-secret';
+const ACCOUNTS_FILE = process.env.MOCK_ACCOUNTS_FILE || fileURLToPath(new URL('../data/users.csv', import.meta.url));
+
+// Active sessions keyed by session id; refresh tokens map back to their session
+const sessions = new Map();
+const refreshTokens = new Map();
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Creates a signed JWT for a session.
+ *
+ * @param {string} sid - Session id
+ * @param {string} subject - User email
+ * @returns {string} - JWT
+ */
+export function issueAccessToken(sid, subject) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: subject, sid, iat: now, exp: now + TOKEN_TTL }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verifies a JWT signature, expiry and session.
+ *
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object|null} - Token claims or null when invalid
+ */
+export function verifyAccessToken(token) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3 || sign(`${parts[0]}.${parts[1]}`) !== parts[2]) {
+    return null;
+  }
+  const claims = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+  if (claims.exp <= Math.floor(Date.now() / 1000) || !sessions.has(claims.sid)) {
+    return null;
+  }
+  return claims;
+}
+
+function issueTokens(sid, subject) {
+  const refreshToken = crypto.randomBytes(24).toString('hex');
+  refreshTokens.set(refreshToken, sid);
+  sessions.get(sid).refreshToken = refreshToken;
+  return {
+    token: issueAccessToken(sid, subject),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL,
+  };
+}
+
+function bearer(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * Reads email/password pairs from a CSV file with a header row. Quoted
+ * fields are not supported; the seeded accounts do not need them.
+ *
+ * @param {string} path - CSV file path
+ * @returns {Map<string, string>} - Passwords keyed by email
+ */
+export function loadAccounts(path) {
+  const [header, ...lines] = fs.readFileSync(path, 'utf8').split(/\r?\n/).filter((line) => line.trim());
+  const columns = header.split(',').map((column) => column.trim());
+  const emailAt = columns.indexOf('email');
+  const passwordAt = columns.indexOf('password');
+  if (emailAt < 0 || passwordAt < 0) {
+    throw new Error(`${path} needs email and password columns`);
+  }
+  return new Map(lines.map((line) => {
+    const values = line.split(',');
+    return [values[emailAt].trim(), values[passwordAt].trim()];
+  }));
+}
+
+const accounts = loadAccounts(ACCOUNTS_FILE);
+
+/**
+ * Checks login credentials against the seeded accounts.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {boolean} - Whether the credentials are accepted
+ */
+export function acceptCredentials(body) {
+  return Boolean(body && body.email && accounts.get(body.email) === body.password);
+}
+
+function login(req) {
+  if (!acceptCredentials(req.body)) {
+    return { status: 401, body: { error: 'Invalid credentials' } };
+  }
+  const sid = crypto.randomUUID();
+  sessions.set(sid, { subject: req.body.email });
+  return { status: 200, body: issueTokens(sid, req.body.email) };
+}
+
+function refresh(req) {
+  const token = req.body && req.body.refresh_token;
+  const sid = refreshTokens.get(token);
+  // Rotated refresh tokens are single-use
+  refreshTokens.delete(token);
+  const session = sid && sessions.get(sid);
+  if (!session || session.refreshToken !== token) {
+    return { status: 401, body: { error: 'Invalid refresh token' } };
+  }
+  return { status: 200, body: issueTokens(sid, session.subject) };
+}
+
+function logout(req) {
+  const claims = verifyAccessToken(bearer(req));
+  const sid = claims ? claims.sid : refreshTokens.get(req.body && req.body.refresh_token);
+  if (!sid || !sessions.has(sid)) {
+    return { status: 401, body: { error: 'Not logged in' } };
+  }
+  refreshTokens.delete(sessions.get(sid).refreshToken);
+  sessions.delete(sid);
+  return { status: 204, body: undefined };
+}
+
+function profile(req) {
+  const claims = verifyAccessToken(bearer(req));
+  if (!claims) {
+    return { status: 401, body: { error: 'Unauthorized' } };
+  }
+  return { status: 200, body: { email: claims.sub, session: claims.sid, expires_at: claims.exp } };
+}
+
+export const authRoutes = [
+  { method: 'POST', pattern: /^\/login\/?$/, handler: login },
+  { method: 'POST', pattern: /^\/auth\/token\/refresh\/?$/, handler: refresh },
+  { method: 'POST', pattern: /^\/logout\/?$/, handler: logout },
+  { method: 'GET', pattern: /^\/api\/profile\/?$/, handler: profile },
+];
@@ -0,0 +1,45 @@
+/**
+ * Reqres.in fixtures
+ *
+ * Static copies of the data served by https://reqres.in so the test scripts
+ * can assert exact values against the local stand-in server.
+ */
+
+export const AVATAR_BASE = 'https://reqres.in/img/faces';
+
+export const USERS = [
+  { id: 1, email: 'george.bluth@reqres.in', first_name: 'George', last_name: 'Bluth' },
+  { id: 2, email: 'janet.weaver@reqres.in', first_name: 'Janet', last_name: 'Weaver' },
+  { id: 3, email: 'emma.wong@reqres.in', first_name: 'Emma', last_name: 'Wong' },
+  { id: 4, email: 'eve.holt@reqres.in', first_name: 'Eve', last_name: 'Holt' },
+  { id: 5, email: 'charles.morris@reqres.in', first_name: 'Charles', last_name: 'Morris' },
+  { id: 6, email: 'tracey.ramos@reqres.in', first_name: 'Tracey', last_name: 'Ramos' },
+  { id: 7, email: 'michael.lawson@reqres.in', first_name: 'Michael', last_name: 'Lawson' },
+  { id: 8, email: 'lindsay.ferguson@reqres.in', first_name: 'Lindsay', last_name: 'Ferguson' },
+  { id: 9, email: 'tobias.funke@reqres.in', first_name: 'Tobias', last_name: 'Funke' },
+  { id: 10, email: 'byron.fields@reqres.in', first_name: 'Byron', last_name: 'Fields' },
+  { id: 11, email: 'george.edwards@reqres.in', first_name: 'George', last_name: 'Edwards' },
+  { id: 12, email: 'rachel.howell@reqres.in', first_name: 'Rachel', last_name: 'Howell' },
+].map((user) => ({ ...user, avatar: `${AVATAR_BASE}/${user.id}-image.jpg` }));
+
+export const RESOURCES = [
+  { id: 1, name: 'cerulean', year: 2000, color: '#98B2D1', pantone_value: '15-4020' },
+  { id: 2, name: 'fuchsia rose', year: 2001, color: '#C74375', pantone_value: '17-2031' },
+  { id: 3, name: 'true red', year: 2002, color: '#BF1932', pantone_value: '19-1664' },
+  { id: 4, name: 'aqua sky', year: 2003, color: '#7BC4C4', pantone_value: '14-4811' },
+  { id: 5, name: 'tigerlily', year: 2004, color: '#E2583E', pantone_value: '17-1456' },
+  { id: 6, name: 'blue turquoise', year: 2005, color: '#53B0AE', pantone_value: '15-5217' },
+  { id: 7, name: 'sand dollar', year: 2006, color: '#DECDBE', pantone_value: '13-1106' },
+  { id: 8, name: 'chili pepper', year: 2007, color: '#9B1B30', pantone_value: '19-1557' },
+  { id: 9, name: 'blue iris', year: 2008, color: '#5A5B9F', pantone_value: '18-3943' },
+  { id: 10, name: 'mimosa', year: 2009, color: '#F0C05A', pantone_value: '14-0848' },
+  { id: 11, name: 'turquoise', year: 2010, color: '#45B5AA', pantone_value: '15-5519' },
+  { id: 12, name: 'honeysuckle', year: 2011, color: '#D94F70', pantone_value: '18-2120' },
+];
+
+export const SUPPORT = {
+  url: 'https://contentcaddy.io?utm_source=reqres&utm_medium=json&utm_campaign=referral',
+  text: 'Tired of writing endless social media content? Let Content Caddy generate it for you.',
+};
+
+export const DEFAULT_PER_PAGE = 6;
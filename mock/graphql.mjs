@@ -0,0 +1,367 @@
+/**
+ * Stand-in GraphQL Endpoint
+ *
+ * POST /graphql for the GraphQL example (examples_graphql.js), serving the
+ * reqres user fixtures through a small schema:
+ *
+ *   type Query {
+ *     user(id: Int!): User                        # null plus a NOT_FOUND error for unknown ids
+ *     users(page: Int, perPage: Int): UserPage
+ *   }
+ *   type Mutation {
+ *     createUser(name: String!, job: String): CreatedUser
+ *   }
+ *   type User { id, email, firstName, lastName, avatar }
+ *   type UserPage { page, perPage, total, totalPages, data: [User] }
+ *   type CreatedUser { id, name, job, createdAt }
+ *
+ * Like a real GraphQL server it answers resolver and validation problems with
+ * status 200 and an `errors` array, so clients have to check the array and
+ * not only the status. Requests that are not GraphQL at all get 400.
+ *
+ * Supported syntax: one operation per document (query or mutation, optionally
+ * named, with variable definitions), aliases, arguments given as literals or
+ * `$variables`, nested selections and `__typename`. Fragments and directives
+ * are not supported.
+ */
+
+import { USERS, DEFAULT_PER_PAGE } from './fixtures.mjs';
+
+// Output types: field name -> [key in the resolved object, type of the value for nested selections]
+const TYPES = {
+  User: {
+    id: ['id'],
+    email: ['email'],
+    firstName: ['first_name'],
+    lastName: ['last_name'],
+    avatar: ['avatar'],
+  },
+  UserPage: {
+    page: ['page'],
+    perPage: ['perPage'],
+    total: ['total'],
+    totalPages: ['totalPages'],
+    data: ['data', 'User'],
+  },
+  CreatedUser: {
+    id: ['id'],
+    name: ['name'],
+    job: ['job'],
+    createdAt: ['createdAt'],
+  },
+};
+
+// Reported in the `errors` array with its code in `extensions.code`
+class GraphQLError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Root fields: { type, required arguments, resolver(args) }
+const ROOT_FIELDS = {
+  query: {
+    user: {
+      type: 'User',
+      required: ['id'],
+      resolve: ({ id }) => {
+        const user = USERS.find((entry) => entry.id === Number(id));
+        if (!user) {
+          throw new GraphQLError(`User ${id} not found`, 'NOT_FOUND');
+        }
+        return user;
+      },
+    },
+    users: {
+      type: 'UserPage',
+      required: [],
+      resolve: ({ page = 1, perPage = DEFAULT_PER_PAGE }) => {
+        if (!(Number.isInteger(page) && page > 0 && Number.isInteger(perPage) && perPage > 0)) {
+          throw new GraphQLError('page and perPage must be positive integers', 'BAD_USER_INPUT');
+        }
+        return {
+          page,
+          perPage,
+          total: USERS.length,
+          totalPages: Math.ceil(USERS.length / perPage),
+          data: USERS.slice((page - 1) * perPage, page * perPage),
+        };
+      },
+    },
+  },
+  mutation: {
+    createUser: {
+      type: 'CreatedUser',
+      required: ['name'],
+      resolve: ({ name, job = null }) => {
+        if (typeof name !== 'string' || name.trim() === '') {
+          throw new GraphQLError('name must not be empty', 'BAD_USER_INPUT');
+        }
+        return { id: String(Math.floor(Math.random() * 1000)), name, job, createdAt: new Date().toISOString() };
+      },
+    },
+  },
+};
+
+const TOKEN = /\s*(?:(#[^\n]*)|(\.\.\.|[{}():$!,=[\]@])|("(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z]\w*))/y;
+
+/**
+ * Splits a GraphQL document into tokens.
+ *
+ * @param {string} source - Document text
+ * @returns {Array<Object>} - Tokens: { kind: punct|string|number|name, value }
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) {
+      break;
+    }
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      throw new GraphQLError(`Syntax Error: unexpected character at position ${start}`, 'GRAPHQL_PARSE_FAILED');
+    }
+    if (match[1]) {
+      continue;
+    }
+    if (match[2]) {
+      tokens.push({ kind: 'punct', value: match[2] });
+    } else if (match[3]) {
+      tokens.push({ kind: 'string', value: JSON.parse(match[3]) });
+    } else if (match[4]) {
+      tokens.push({ kind: 'number', value: Number(match[4]) });
+    } else {
+      tokens.push({ kind: 'name', value: match[5] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a document into its operation type and root selections.
+ *
+ * @param {string} source - Document text
+ * @returns {Object} - { operation: 'query'|'mutation', selections }
+ */
+export function parseDocument(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos] || { kind: 'eof', value: '' };
+  const fail = (expected) => {
+    throw new GraphQLError(`Syntax Error: expected ${expected}, found "${peek().value || '<EOF>'}"`, 'GRAPHQL_PARSE_FAILED');
+  };
+  const accept = (value) => {
+    if (peek().kind === 'punct' && peek().value === value) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => accept(value) || fail(`"${value}"`);
+  const name = () => (peek().kind === 'name' ? tokens[pos++].value : fail('a name'));
+
+  function value() {
+    const token = peek();
+    if (accept('$')) {
+      return { variable: name() };
+    }
+    if (accept('[')) {
+      const list = [];
+      while (!accept(']')) {
+        list.push(value());
+        accept(',');
+      }
+      return { list };
+    }
+    if (token.kind === 'string' || token.kind === 'number') {
+      pos++;
+      return { literal: token.value };
+    }
+    if (token.kind === 'name') {
+      pos++;
+      const literals = { true: true, false: false, null: null };
+      return { literal: token.value in literals ? literals[token.value] : token.value };
+    }
+    return fail('a value');
+  }
+
+  function selectionSet() {
+    expect('{');
+    const selections = [];
+    while (!accept('}')) {
+      if (peek().value === '...' || peek().value === '@') {
+        throw new GraphQLError('Fragments and directives are not supported by the stand-in', 'GRAPHQL_VALIDATION_FAILED');
+      }
+      let fieldName = name();
+      let alias = fieldName;
+      if (accept(':')) {
+        fieldName = name();
+      }
+      const args = {};
+      if (accept('(')) {
+        while (!accept(')')) {
+          const argName = name();
+          expect(':');
+          args[argName] = value();
+          accept(',');
+        }
+      }
+      const children = peek().value === '{' ? selectionSet() : null;
+      selections.push({ alias, name: fieldName, args, children });
+      accept(',');
+    }
+    return selections;
+  }
+
+  let operation = 'query';
+  if (peek().kind === 'name') {
+    operation = name();
+    if (!ROOT_FIELDS[operation]) {
+      throw new GraphQLError(`Operation type "${operation}" is not supported`, 'GRAPHQL_VALIDATION_FAILED');
+    }
+    if (peek().kind === 'name') {
+      name();
+    }
+    // Variable definitions are not needed to execute the operation
+    if (accept('(')) {
+      let depth = 1;
+      while (depth > 0 && pos < tokens.length) {
+        const token = tokens[pos++];
+        if (token.kind === 'punct' && token.value === '(') {
+          depth++;
+        } else if (token.kind === 'punct' && token.value === ')') {
+          depth--;
+        }
+      }
+    }
+  }
+  const selections = selectionSet();
+  if (pos < tokens.length) {
+    throw new GraphQLError('Only one operation per document is supported', 'GRAPHQL_VALIDATION_FAILED');
+  }
+  return { operation, selections };
+}
+
+function resolveValue(node, variables) {
+  if ('variable' in node) {
+    return variables[node.variable];
+  }
+  if ('list' in node) {
+    return node.list.map((item) => resolveValue(item, variables));
+  }
+  return node.literal;
+}
+
+// Checks every selected field exists on its type, collecting validation errors
+function validate(selections, typeName, errors) {
+  selections.forEach((selection) => {
+    if (selection.name === '__typename') {
+      return;
+    }
+    const field = TYPES[typeName][selection.name];
+    if (!field) {
+      errors.push({ message: `Cannot query field "${selection.name}" on type "${typeName}".`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } });
+      return;
+    }
+    const nestedType = field[1];
+    if (nestedType && !selection.children) {
+      errors.push({ message: `Field "${selection.name}" must have a selection of subfields.`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } });
+    } else if (!nestedType && selection.children) {
+      errors.push({ message: `Field "${selection.name}" must not have a selection since it is a scalar.`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } });
+    } else if (nestedType) {
+      validate(selection.children, nestedType, errors);
+    }
+  });
+}
+
+// Returns the selected fields of a resolved value
+function project(value, selections, typeName) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => project(item, selections, typeName));
+  }
+  const result = {};
+  selections.forEach((selection) => {
+    if (selection.name === '__typename') {
+      result[selection.alias] = typeName;
+      return;
+    }
+    const [key, nestedType] = TYPES[typeName][selection.name];
+    result[selection.alias] = nestedType ? project(value[key], selection.children, nestedType) : (value[key] === undefined ? null : value[key]);
+  });
+  return result;
+}
+
+/**
+ * Executes a GraphQL request body.
+ *
+ * @param {Object} body - Parsed request body: { query, variables, operationName }
+ * @returns {Object} - Route result: { status, body }
+ */
+export function executeGraphQL(body) {
+  if (!body || typeof body !== 'object' || typeof body.query !== 'string') {
+    return { status: 400, body: { errors: [{ message: 'Request body must be JSON with a "query" string', extensions: { code: 'BAD_REQUEST' } }] } };
+  }
+
+  let document;
+  try {
+    document = parseDocument(body.query);
+  } catch (e) {
+    return { status: 400, body: { errors: [{ message: e.message, extensions: { code: e.code } }] } };
+  }
+
+  const variables = body.variables || {};
+  const roots = ROOT_FIELDS[document.operation];
+  const errors = [];
+  document.selections.forEach((selection) => {
+    const root = roots[selection.name];
+    if (!root) {
+      const typeName = document.operation === 'query' ? 'Query' : 'Mutation';
+      errors.push({ message: `Cannot query field "${selection.name}" on type "${typeName}".`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } });
+      return;
+    }
+    if (!selection.children) {
+      errors.push({ message: `Field "${selection.name}" of type "${root.type}" must have a selection of subfields.`, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } });
+      return;
+    }
+    validate(selection.children, root.type, errors);
+  });
+  // Invalid documents are not executed at all
+  if (errors.length > 0) {
+    return { status: 200, body: { errors } };
+  }
+
+  const data = {};
+  document.selections.forEach((selection) => {
+    const root = roots[selection.name];
+    const args = {};
+    Object.keys(selection.args).forEach((arg) => {
+      args[arg] = resolveValue(selection.args[arg], variables);
+    });
+    const missing = root.required.filter((arg) => args[arg] === undefined || args[arg] === null);
+    try {
+      if (missing.length > 0) {
+        throw new GraphQLError(`Argument "${missing[0]}" of field "${selection.name}" is required`, 'BAD_USER_INPUT');
+      }
+      data[selection.alias] = project(root.resolve(args), selection.children, root.type);
+    } catch (e) {
+      if (!(e instanceof GraphQLError)) {
+        throw e;
+      }
+      data[selection.alias] = null;
+      errors.push({ message: e.message, path: [selection.alias], extensions: { code: e.code } });
+    }
+  });
+
+  return { status: 200, body: errors.length > 0 ? { data, errors } : { data } };
+}
+
+export const graphqlRoutes = [
+  { method: 'POST', pattern: /^\/graphql\/?$/, handler: (req) => executeGraphQL(req.body) },
+];
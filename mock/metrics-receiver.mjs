@@ -0,0 +1,327 @@
+/**
+ * Local Metrics Receiver
+ *
+ * Accepts the metrics k6 streams to Prometheus remote-write or InfluxDB and
+ * records which metrics and labels arrived, so the output configuration in
+ * grafana/ can be verified without running Prometheus, InfluxDB or Grafana.
+ *
+ * Endpoints:
+ * - POST /api/v1/write  Prometheus remote-write (snappy-compressed protobuf)
+ * - POST /write         InfluxDB 1.x line protocol (optionally gzip-compressed)
+ * - POST /query, GET /ping  enough of the InfluxDB API for k6 to start writing
+ * - GET /summary        received metrics with sample counts and label names
+ *
+ * On exit (Ctrl+C) it prints the summary. With MOCK_METRICS_EXPECT set to a
+ * comma-separated list of k6 metric names it also checks that each of them
+ * arrived, under either backend's naming (`errors` matches `k6_errors_rate`
+ * and the `errors` measurement), and exits with status 1 if one did not.
+ *
+ * Usage:
+ *   node mock/metrics-receiver.mjs
+ *   MOCK_METRICS_PORT=9090 MOCK_METRICS_EXPECT=errors,request_duration node mock/metrics-receiver.mjs
+ */
+
+import http from 'http';
+import zlib from 'zlib';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_CONFIG = {
+  port: process.env.MOCK_METRICS_PORT ? parseInt(process.env.MOCK_METRICS_PORT, 10) : 9090,
+  host: process.env.MOCK_HOST || '127.0.0.1',
+  expect: (process.env.MOCK_METRICS_EXPECT || '').split(',').map((name) => name.trim()).filter(Boolean),
+  quiet: process.env.MOCK_QUIET === 'true',
+};
+
+/**
+ * Decompresses a snappy block (the format used by remote-write, without the
+ * framing of the snappy stream format).
+ *
+ * @param {Buffer} input - Compressed block
+ * @returns {Buffer} - Uncompressed data
+ */
+export function snappyUncompress(input) {
+  let pos = 0;
+  let length = 0;
+  for (let shift = 0; ; shift += 7) {
+    const byte = input[pos++];
+    length += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) {
+      break;
+    }
+  }
+
+  const output = Buffer.alloc(length);
+  let out = 0;
+  while (pos < input.length) {
+    const tag = input[pos++];
+    const type = tag & 0x03;
+    if (type === 0) {
+      // Literal: length in the tag, or in the following 1-4 bytes
+      let literalLength = tag >> 2;
+      if (literalLength >= 60) {
+        const bytes = literalLength - 59;
+        literalLength = input.readUIntLE(pos, bytes);
+        pos += bytes;
+      }
+      literalLength += 1;
+      input.copy(output, out, pos, pos + literalLength);
+      pos += literalLength;
+      out += literalLength;
+      continue;
+    }
+
+    // Copy of earlier output; the ranges may overlap, so copy byte by byte
+    let copyLength;
+    let offset;
+    if (type === 1) {
+      copyLength = ((tag >> 2) & 0x07) + 4;
+      offset = ((tag >> 5) << 8) | input[pos++];
+    } else if (type === 2) {
+      copyLength = (tag >> 2) + 1;
+      offset = input.readUInt16LE(pos);
+      pos += 2;
+    } else {
+      copyLength = (tag >> 2) + 1;
+      offset = input.readUInt32LE(pos);
+      pos += 4;
+    }
+    if (offset === 0 || offset > out) {
+      throw new Error('Invalid snappy copy offset');
+    }
+    for (let i = 0; i < copyLength; i++) {
+      output[out] = output[out - offset];
+      out++;
+    }
+  }
+  return output;
+}
+
+/**
+ * Splits a protobuf message into its fields. Only the wire types used by
+ * remote-write are supported: varint, 64-bit and length-delimited.
+ *
+ * @param {Buffer} buffer - Encoded message
+ * @returns {Array<Object>} - Fields: { field, value } with Buffers for length-delimited values
+ */
+function protobufFields(buffer) {
+  const fields = [];
+  let pos = 0;
+
+  function varint() {
+    let value = 0;
+    for (let shift = 0; ; shift += 7) {
+      const byte = buffer[pos++];
+      value += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) {
+        return value;
+      }
+    }
+  }
+
+  while (pos < buffer.length) {
+    const key = varint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 0x07;
+    if (wireType === 0) {
+      fields.push({ field, value: varint() });
+    } else if (wireType === 1) {
+      fields.push({ field, value: buffer.readDoubleLE(pos) });
+      pos += 8;
+    } else if (wireType === 2) {
+      const length = varint();
+      fields.push({ field, value: buffer.subarray(pos, pos + length) });
+      pos += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Decodes a remote-write WriteRequest into series.
+ *
+ * @param {Buffer} body - Request body (snappy-compressed)
+ * @returns {Array<Object>} - Series: { name, labels, samples }
+ */
+export function decodeRemoteWrite(body) {
+  return protobufFields(snappyUncompress(body))
+    .filter(({ field }) => field === 1)
+    .map(({ value }) => {
+      const labels = {};
+      let samples = 0;
+      protobufFields(value).forEach((entry) => {
+        if (entry.field === 1) {
+          const label = protobufFields(entry.value);
+          const name = label.find((f) => f.field === 1);
+          const labelValue = label.find((f) => f.field === 2);
+          labels[name.value.toString()] = labelValue ? labelValue.value.toString() : '';
+        } else if (entry.field === 2) {
+          samples++;
+        }
+      });
+      const { __name__: name, ...rest } = labels;
+      return { name, labels: rest, samples };
+    });
+}
+
+// Splits on a separator that is not escaped with a backslash, keeping the escapes
+function splitUnescaped(text, separator) {
+  const parts = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      parts[parts.length - 1] += text.slice(i, i + 2);
+      i++;
+    } else if (text[i] === separator) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += text[i];
+    }
+  }
+  return parts;
+}
+
+function unescape(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parses InfluxDB line protocol into series, one per line.
+ *
+ * @param {string} text - Line protocol
+ * @returns {Array<Object>} - Series: { name, labels, samples }
+ */
+export function decodeLineProtocol(text) {
+  return text.split('\n').filter((line) => line.trim() && !line.startsWith('#')).map((line) => {
+    // measurement[,tag=value...] field=value[,field=value...] [timestamp]
+    const [name, ...tags] = splitUnescaped(splitUnescaped(line, ' ')[0], ',');
+    const labels = {};
+    tags.forEach((tag) => {
+      const [key, ...value] = splitUnescaped(tag, '=');
+      labels[unescape(key)] = unescape(value.join('='));
+    });
+    return { name: unescape(name), labels, samples: 1 };
+  });
+}
+
+/**
+ * Whether a received metric name is a k6 metric under either backend's
+ * naming: the InfluxDB measurement is the metric name, Prometheus adds a
+ * `k6_` prefix and a suffix for the metric type or trend statistic.
+ *
+ * @param {string} received - Received metric name
+ * @param {string} metric - k6 metric name
+ * @returns {boolean} - Whether they match
+ */
+export function isMetric(received, metric) {
+  return received === metric
+    || new RegExp(`^k6_${metric}(_total|_rate|_value|_p\\d+|_avg|_min|_max|_med|_count|_sum)?$`).test(received);
+}
+
+/**
+ * Creates the receiver and its store of received metrics.
+ *
+ * @param {Object} [config] - Receiver configuration, defaults to DEFAULT_CONFIG
+ * @returns {Object} - { server, summary() }
+ */
+export function createReceiver(config = DEFAULT_CONFIG) {
+  const received = new Map();
+
+  function record(series, backend) {
+    series.forEach(({ name, labels, samples }) => {
+      let metric = received.get(name);
+      if (!metric) {
+        metric = { backend, samples: 0, labels: new Set() };
+        received.set(name, metric);
+        if (!config.quiet) {
+          console.log(`New metric (${backend}): ${name} {${Object.keys(labels).sort().join(', ')}}`);
+        }
+      }
+      metric.samples += samples;
+      Object.keys(labels).forEach((label) => metric.labels.add(label));
+    });
+  }
+
+  function summary() {
+    const metrics = {};
+    [...received.keys()].sort().forEach((name) => {
+      const metric = received.get(name);
+      metrics[name] = { backend: metric.backend, samples: metric.samples, labels: [...metric.labels].sort() };
+    });
+    const missing = config.expect.filter((metric) => ![...received.keys()].some((name) => isMetric(name, metric)));
+    return { metrics, missing };
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        let body = Buffer.concat(chunks);
+        if (req.headers['content-encoding'] === 'gzip') {
+          body = zlib.gunzipSync(body);
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/v1/write') {
+          record(decodeRemoteWrite(body), 'prometheus');
+          res.writeHead(204).end();
+        } else if (req.method === 'POST' && url.pathname === '/write') {
+          record(decodeLineProtocol(body.toString()), 'influxdb');
+          res.writeHead(204).end();
+        } else if (url.pathname === '/query') {
+          // k6 creates its database before writing
+          res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ results: [{ statement_id: 0 }] }));
+        } else if (url.pathname === '/ping') {
+          res.writeHead(204).end();
+        } else if (req.method === 'GET' && url.pathname === '/summary') {
+          res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(summary(), null, 2));
+        } else {
+          res.writeHead(404).end();
+        }
+      } catch (e) {
+        console.error(`Error handling ${req.method} ${req.url}: ${e.message}`);
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end(e.message);
+      }
+    });
+  });
+
+  return { server, summary };
+}
+
+/**
+ * Prints the received metrics and the result of the MOCK_METRICS_EXPECT check.
+ *
+ * @param {Object} result - Result of summary()
+ * @param {Array<string>} expected - Expected k6 metric names
+ */
+function printSummary({ metrics, missing }, expected) {
+  const names = Object.keys(metrics);
+  console.log(`\nReceived ${names.length} metric(s):`);
+  names.forEach((name) => {
+    console.log(`  ${name} (${metrics[name].backend}, ${metrics[name].samples} samples) {${metrics[name].labels.join(', ')}}`);
+  });
+  if (expected.length > 0) {
+    console.log(missing.length === 0
+      ? `All expected metrics received: ${expected.join(', ')}`
+      : `Missing expected metrics: ${missing.join(', ')}`);
+  }
+}
+
+// Start listening when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { server, summary } = createReceiver();
+  server.listen(DEFAULT_CONFIG.port, DEFAULT_CONFIG.host, () => {
+    console.log(`Metrics receiver listening on http://${DEFAULT_CONFIG.host}:${DEFAULT_CONFIG.port}`);
+    console.log('  Prometheus remote-write: /api/v1/write, InfluxDB: /write (database in the URL is ignored)');
+  });
+
+  const stop = () => {
+    const result = summary();
+    printSummary(result, DEFAULT_CONFIG.expect);
+    server.close();
+    process.exit(result.missing.length === 0 ? 0 : 1);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
@@ -0,0 +1,214 @@
+/**
+ * Stand-in WebSocket Notification Channel
+ *
+ * A WebSocket endpoint at /ws/notifications for the WebSocket example
+ * (examples_websocket.js), implemented on Node's HTTP upgrade event so the
+ * mock server keeps using core modules only.
+ *
+ * Protocol: JSON text messages
+ *   -> { "type": "subscribe", "channel": "users" }
+ *   <- { "type": "subscribed", "channel": "users" }
+ *   -> { "type": "ping", "id": "1", "sentAt": 1700000000000 }
+ *   <- { "type": "pong", "id": "1", "sentAt": 1700000000000 }       // echoed for round-trip timing
+ *   <- { "type": "notification", "channel": "users", "sentAt": ..., "data": { "event": "user.updated", "userId": 7 } }
+ *   -> { "type": "unsubscribe", "channel": "users" }
+ *   <- { "type": "error", "message": "..." }                         // unknown message or channel
+ *
+ * Subscribed clients get a notification every MOCK_WS_NOTIFY_MS milliseconds.
+ * Close and ping control frames are answered as the protocol requires.
+ *
+ * Environment:
+ *   MOCK_WS_NOTIFY_MS  notification interval per subscription (default 1000)
+ */
+
+import crypto from 'crypto';
+import { USERS } from './fixtures.mjs';
+
+const NOTIFY_MS = process.env.MOCK_WS_NOTIFY_MS ? parseInt(process.env.MOCK_WS_NOTIFY_MS, 10) : 1000;
+
+// Key suffix of the opening handshake (RFC 6455)
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const CHANNELS = ['users', 'resources'];
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * Encodes an unmasked (server to client) frame.
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} - Encoded frame
+ */
+export function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the complete frames at the start of a buffer.
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} - { frames: [{ opcode, payload }], rest } with the bytes of an incomplete frame in rest
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let pos = 0;
+  while (buffer.length - pos >= 2) {
+    const opcode = buffer[pos] & 0x0f;
+    const masked = (buffer[pos + 1] & 0x80) !== 0;
+    let length = buffer[pos + 1] & 0x7f;
+    let offset = pos + 2;
+    if (length === 126) {
+      if (buffer.length < offset + 2) {
+        break;
+      }
+      length = buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (length === 127) {
+      if (buffer.length < offset + 8) {
+        break;
+      }
+      length = Number(buffer.readBigUInt64BE(offset));
+      offset += 8;
+    }
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + length) {
+      break;
+    }
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    frames.push({ opcode, payload });
+    pos = offset + length;
+  }
+  return { frames, rest: buffer.subarray(pos) };
+}
+
+/**
+ * Handles one client connection after the handshake.
+ *
+ * @param {net.Socket} socket - Upgraded socket
+ * @param {Object} config - { quiet }
+ */
+function serveConnection(socket, config) {
+  const subscriptions = new Map();
+  let pending = Buffer.alloc(0);
+  let closed = false;
+
+  const send = (message) => {
+    if (!closed) {
+      socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    }
+  };
+
+  const cleanup = () => {
+    closed = true;
+    subscriptions.forEach((timer) => clearInterval(timer));
+    subscriptions.clear();
+  };
+
+  function handleMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      send({ type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    if (message.type === 'ping') {
+      send({ type: 'pong', id: message.id, sentAt: message.sentAt });
+    } else if (message.type === 'subscribe' || message.type === 'unsubscribe') {
+      if (!CHANNELS.includes(message.channel)) {
+        send({ type: 'error', message: `Unknown channel "${message.channel}", expected one of ${CHANNELS.join(', ')}` });
+        return;
+      }
+      clearInterval(subscriptions.get(message.channel));
+      subscriptions.delete(message.channel);
+      if (message.type === 'subscribe') {
+        subscriptions.set(message.channel, setInterval(() => {
+          const user = USERS[Math.floor(Math.random() * USERS.length)];
+          send({ type: 'notification', channel: message.channel, sentAt: Date.now(), data: { event: `${message.channel}.updated`, userId: user.id } });
+        }, NOTIFY_MS));
+      }
+      send({ type: message.type === 'subscribe' ? 'subscribed' : 'unsubscribed', channel: message.channel });
+    } else {
+      send({ type: 'error', message: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === OPCODES.text) {
+        handleMessage(payload.toString('utf8'));
+      } else if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.close) {
+        // Echo the close frame, then end the connection
+        if (!closed) {
+          socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+        }
+        cleanup();
+      }
+    });
+  });
+  socket.on('close', cleanup);
+  socket.on('error', (e) => {
+    cleanup();
+    if (!config.quiet) {
+      console.error(`WebSocket error: ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Accepts WebSocket upgrades to /ws/notifications on an HTTP server.
+ *
+ * @param {http.Server} server - Server to attach to
+ * @param {Object} config - Server configuration ({ quiet })
+ */
+export function attachNotifications(server, config) {
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== '/ws/notifications' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'));
+    if (!config.quiet) {
+      console.log(`GET ${req.url} -> 101 (WebSocket)`);
+    }
+    serveConnection(socket, config);
+  });
+}
@@ -0,0 +1,317 @@
+/**
+ * Local Reqres.in Stand-in Server
+ *
+ * Serves the reqres.in endpoints used by the k6 scripts from static fixtures,
+ * so the tests can run without internet access and assert exact values.
+ *
+ * Features:
+ * - /api/users, /api/users/:id, /api/unknown and /api/unknown/:id with pagination
+ * - POST /api/users, PUT/PATCH/DELETE /api/users/:id, answered like reqres
+ *   without storing anything
+ * - POST /api/register and /api/login for the defined users, with reqres's
+ *   400 errors for missing fields and unknown users
+ * - `?delay=N` on any endpoint delays the response by N seconds (at most 10)
+ * - `{}` body with 404 status for unknown ids, like the real API
+ * - Token endpoints for the POST template (see auth.mjs) and GET /health
+ * - POST /graphql over the same user fixtures (see graphql.mjs) and a
+ *   WebSocket notification channel at /ws/notifications (see notifications.mjs)
+ * - Configurable injected latency (fixed + jitter) and error rate; injected
+ *   429/503 responses carry a Retry-After header
+ * - Seeded randomness so injected faults are reproducible between runs
+ *
+ * Usage:
+ *   node mock/server.mjs
+ *   MOCK_PORT=3000 MOCK_LATENCY_MS=50 MOCK_ERROR_RATE=0.05 node mock/server.mjs
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { USERS, RESOURCES, SUPPORT, DEFAULT_PER_PAGE } from './fixtures.mjs';
+import { authRoutes } from './auth.mjs';
+import { graphqlRoutes } from './graphql.mjs';
+import { attachNotifications } from './notifications.mjs';
+
+// Server configuration - can be overridden via environment variables
+export const DEFAULT_CONFIG = {
+  port: process.env.MOCK_PORT ? parseInt(process.env.MOCK_PORT, 10) : 3000,
+  host: process.env.MOCK_HOST || '127.0.0.1',
+  latencyMs: process.env.MOCK_LATENCY_MS ? parseInt(process.env.MOCK_LATENCY_MS, 10) : 0,
+  latencyJitterMs: process.env.MOCK_LATENCY_JITTER_MS ? parseInt(process.env.MOCK_LATENCY_JITTER_MS, 10) : 0,
+  errorRate: process.env.MOCK_ERROR_RATE ? parseFloat(process.env.MOCK_ERROR_RATE) : 0,
+  errorStatus: process.env.MOCK_ERROR_STATUS ? parseInt(process.env.MOCK_ERROR_STATUS, 10) : 500,
+  retryAfter: process.env.MOCK_RETRY_AFTER || '1',
+  seed: process.env.MOCK_SEED ? parseInt(process.env.MOCK_SEED, 10) : 42,
+  quiet: process.env.MOCK_QUIET === 'true',
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) so injected latency and errors
+ * follow the same sequence for the same seed.
+ *
+ * @param {number} seed - Initial seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Builds a reqres-style paginated envelope for a fixture collection.
+ *
+ * @param {Array} items - Full fixture collection
+ * @param {URLSearchParams} query - Request query string
+ * @returns {Object} - Paginated response body
+ */
+export function paginate(items, query) {
+  const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+  const perPage = Math.max(parseInt(query.get('per_page'), 10) || DEFAULT_PER_PAGE, 1);
+  const start = (page - 1) * perPage;
+
+  return {
+    page,
+    per_page: perPage,
+    total: items.length,
+    total_pages: Math.ceil(items.length / perPage),
+    data: items.slice(start, start + perPage),
+    support: SUPPORT,
+  };
+}
+
+/**
+ * Returns a single fixture by id, or a 404 with an empty object.
+ *
+ * @param {Array} items - Fixture collection
+ * @param {string} id - Id from the URL
+ * @returns {Object} - Route result
+ */
+function findById(items, id) {
+  const item = items.find((entry) => entry.id === Number(id));
+  if (!item) {
+    return { status: 404, body: {} };
+  }
+  return { status: 200, body: { data: item, support: SUPPORT } };
+}
+
+// Token reqres returns for every successful register and login
+export const REQRES_TOKEN = 'QpwL5tke4Pnpja7X4';
+
+// Longest `?delay=N` honored, in seconds
+const MAX_DELAY_SECONDS = 10;
+
+/**
+ * Validates a reqres register/login body and finds the defined user.
+ *
+ * @param {Object} body - Parsed request body
+ * @param {string} unknownError - Error message for an email that is not a defined user
+ * @returns {Object} - { user } or a 400 route result in { error }
+ */
+function findCredentialsUser(body, unknownError) {
+  const email = body && (body.email || body.username);
+  if (!email) {
+    return { error: { status: 400, body: { error: 'Missing email or username' } } };
+  }
+  if (!body.password) {
+    return { error: { status: 400, body: { error: 'Missing password' } } };
+  }
+  const user = USERS.find((entry) => entry.email === email);
+  return user ? { user } : { error: { status: 400, body: { error: unknownError } } };
+}
+
+// Route table: the first entry whose method and pattern match handles the request
+export const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/api\/users\/?$/,
+    handler: (req) => ({ status: 200, body: paginate(USERS, req.query) }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/users\/([^/]+)$/,
+    handler: (req) => findById(USERS, req.params[0]),
+  },
+  {
+    // Like reqres, created and updated users are echoed back with an id or timestamp and not stored
+    method: 'POST',
+    pattern: /^\/api\/users\/?$/,
+    handler: (req) => ({
+      status: 201,
+      body: { ...req.body, id: String(Math.floor(Math.random() * 1000)), createdAt: new Date().toISOString() },
+    }),
+  },
+  {
+    method: 'PUT',
+    pattern: /^\/api\/users\/([^/]+)$/,
+    handler: (req) => ({ status: 200, body: { ...req.body, updatedAt: new Date().toISOString() } }),
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/api\/users\/([^/]+)$/,
+    handler: (req) => ({ status: 200, body: { ...req.body, updatedAt: new Date().toISOString() } }),
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/api\/users\/([^/]+)$/,
+    handler: () => ({ status: 204, body: undefined }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/unknown\/?$/,
+    handler: (req) => ({ status: 200, body: paginate(RESOURCES, req.query) }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/unknown\/([^/]+)$/,
+    handler: (req) => findById(RESOURCES, req.params[0]),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/register\/?$/,
+    handler: (req) => {
+      const { user, error } = findCredentialsUser(req.body, 'Note: Only defined users succeed registration');
+      return error || { status: 200, body: { id: user.id, token: REQRES_TOKEN } };
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/login\/?$/,
+    handler: (req) => {
+      const { error } = findCredentialsUser(req.body, 'user not found');
+      return error || { status: 200, body: { token: REQRES_TOKEN } };
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/health\/?$/,
+    handler: () => ({ status: 200, body: { status: 'ok' } }),
+  },
+  ...authRoutes,
+  ...graphqlRoutes,
+];
+
+/**
+ * Finds the route for a method and path.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path without query string
+ * @returns {Object|null} - Matched route and captured params
+ */
+function matchRoute(method, pathname) {
+  for (const route of routes) {
+    if (route.method !== method) {
+      continue;
+    }
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      return { route, params: match.slice(1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the full request body and parses it as JSON when possible.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object|string|null>} - Parsed body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (e) {
+        resolve(raw);
+      }
+    });
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  const payload = body === undefined ? '' : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+/**
+ * Creates (but does not start) the stand-in server.
+ *
+ * @param {Object} overrides - Values replacing DEFAULT_CONFIG entries
+ * @returns {http.Server} - Node HTTP server
+ */
+export function createServer(overrides = {}) {
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+  const random = createRandom(config.seed);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const requestedDelay = Math.min(Math.max(Number(url.searchParams.get('delay')) || 0, 0), MAX_DELAY_SECONDS);
+    const delay = config.latencyMs + Math.round(random() * config.latencyJitterMs) + requestedDelay * 1000;
+    const injectError = random() < config.errorRate;
+
+    try {
+      const body = await readBody(req);
+      const matched = matchRoute(req.method, url.pathname);
+      let result;
+
+      if (injectError) {
+        result = { status: config.errorStatus, body: { error: 'Injected failure' } };
+        // Rate limiting and unavailability tell the client when to come back
+        if (config.errorStatus === 429 || config.errorStatus === 503) {
+          result.headers = { 'Retry-After': config.retryAfter };
+        }
+      } else if (!matched) {
+        result = { status: 404, body: {} };
+      } else {
+        result = await matched.route.handler({
+          method: req.method,
+          path: url.pathname,
+          query: url.searchParams,
+          headers: req.headers,
+          params: matched.params,
+          body,
+        });
+      }
+
+      setTimeout(() => {
+        send(res, result.status, result.body, result.headers);
+        if (!config.quiet) {
+          console.log(`${req.method} ${req.url} -> ${result.status} (${delay}ms)`);
+        }
+      }, delay);
+    } catch (e) {
+      console.error(`Error handling ${req.method} ${req.url}: ${e.message}`);
+      send(res, 500, { error: 'Internal mock server error' });
+    }
+  });
+  attachNotifications(server, config);
+  return server;
+}
+
+// Start listening when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = createServer();
+  server.listen(DEFAULT_CONFIG.port, DEFAULT_CONFIG.host, () => {
+    console.log(`Reqres stand-in listening on http://${DEFAULT_CONFIG.host}:${DEFAULT_CONFIG.port}`);
+    console.log(`GraphQL: POST /graphql, WebSocket: ws://${DEFAULT_CONFIG.host}:${DEFAULT_CONFIG.port}/ws/notifications`);
+    console.log(`Latency: ${DEFAULT_CONFIG.latencyMs}ms (+0-${DEFAULT_CONFIG.latencyJitterMs}ms), error rate: ${DEFAULT_CONFIG.errorRate}`);
+  });
+}
@@ -0,0 +1,606 @@
+/**
+ * Offline Results Analyzer
+ *
+ * Reads the NDJSON written by `k6 run --out json=results.json` (optionally
+ * gzip-compressed, `results.json.gz`) and produces the analysis of
+ * guideResult.md from the raw samples instead of a screenshot of the console
+ * summary:
+ * - checks, data transfer, errors, request duration, timing components and
+ *   load characteristics, as in guideResult.md
+ * - request duration percentiles per endpoint and per group (from bounded
+ *   histograms, within 1% of the exact value, so memory does not grow with
+ *   the length of the run)
+ * - error breakdown by status code
+ * - throughput over time buckets
+ * - the slowest requests and every failed check
+ *
+ * Writes `<name>-analysis.md` plus CSV files for charting to the output
+ * directory: `<name>-endpoints.csv`, `<name>-groups.csv`, `<name>-statuses.csv`,
+ * `<name>-throughput.csv`, `<name>-outliers.csv` and `<name>-checks.csv`.
+ *
+ * Requests are attributed to the `endpoint` tag set by the plan runner and
+ * the scripts, or to the request `name` when a request has no endpoint tag.
+ *
+ * Usage:
+ *   node tools/analyze-results.mjs results.json
+ *   node tools/analyze-results.mjs results.json.gz --name firstTest --out-dir reports --bucket 30 --top 20
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_OPTIONS = {
+  outDir: 'reports',
+  bucketSeconds: 10,
+  top: 10,
+};
+
+// Metrics shown in the "timing components" section, in request order
+const TIMING_METRICS = ['http_req_blocked', 'http_req_connecting', 'http_req_tls_handshaking', 'http_req_sending', 'http_req_waiting', 'http_req_receiving'];
+
+const STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+/**
+ * Formats a duration in milliseconds like the k6 console (µs, ms, s).
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human readable duration
+ */
+export function formatDuration(ms) {
+  if (ms === undefined || ms === null || Number.isNaN(ms)) {
+    return '-';
+  }
+  if (ms < 1) {
+    return `${(ms * 1000).toFixed(2)}µs`;
+  }
+  if (ms < 1000) {
+    return `${ms.toFixed(2)}ms`;
+  }
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1000) {
+    return `${Math.round(bytes)} B`;
+  }
+  if (bytes < 1000 * 1000) {
+    return `${(bytes / 1000).toFixed(1)} kB`;
+  }
+  return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+}
+
+function formatPercent(passes, total) {
+  return total === 0 ? '0.00%' : `${((passes / total) * 100).toFixed(2)}%`;
+}
+
+// Relative width of a histogram bin; percentiles are accurate to within 1%
+const HISTOGRAM_PRECISION = 0.01;
+const LOG_BASE = Math.log1p(HISTOGRAM_PRECISION);
+
+/**
+ * Creates a histogram of durations with logarithmic bins. A results file can
+ * hold millions of requests, so samples are not kept: a series needs a few
+ * thousand bins at most from microseconds to hours, however long the run.
+ * Count, average, min and max are exact; percentiles are within
+ * HISTOGRAM_PRECISION of the exact value.
+ *
+ * @returns {Object} - { add(value), count(), stats() }
+ */
+export function createHistogram() {
+  const bins = new Map();
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  function binOf(value) {
+    return value > 0 ? Math.floor(Math.log(value) / LOG_BASE) : -Infinity;
+  }
+
+  // Geometric middle of a bin, kept within the observed range
+  function binValue(bin) {
+    const value = bin === -Infinity ? 0 : Math.exp((bin + 0.5) * LOG_BASE);
+    return Math.min(Math.max(value, min), max);
+  }
+
+  /**
+   * Returns the value of the sample at a rank (0-based, ascending).
+   */
+  function valueAt(rank, sortedBins) {
+    if (rank === 0) {
+      return min;
+    }
+    if (rank === count - 1) {
+      return max;
+    }
+    let seen = 0;
+    for (const bin of sortedBins) {
+      seen += bins.get(bin);
+      if (rank < seen) {
+        return binValue(bin);
+      }
+    }
+    return max;
+  }
+
+  /**
+   * Computes a percentile, interpolating between the two closest ranks.
+   */
+  function percentile(p, sortedBins) {
+    const rank = (p / 100) * (count - 1);
+    const lower = valueAt(Math.floor(rank), sortedBins);
+    const upper = valueAt(Math.ceil(rank), sortedBins);
+    return lower + (upper - lower) * (rank - Math.floor(rank));
+  }
+
+  return {
+    /**
+     * Adds a sample.
+     *
+     * @param {number} value - Duration in milliseconds
+     */
+    add(value) {
+      const bin = binOf(value);
+      bins.set(bin, (bins.get(bin) || 0) + 1);
+      count++;
+      sum += value;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    },
+
+    count: () => count,
+
+    /**
+     * Computes the trend statistics k6 reports.
+     *
+     * @returns {Object} - avg, min, med, max, p(90), p(95), p(99)
+     */
+    stats() {
+      if (count === 0) {
+        return STATS.reduce((stats, stat) => ({ ...stats, [stat]: NaN }), {});
+      }
+      const sortedBins = [...bins.keys()].sort((a, b) => a - b);
+      return {
+        'avg': sum / count,
+        'min': min,
+        'med': percentile(50, sortedBins),
+        'max': max,
+        'p(90)': percentile(90, sortedBins),
+        'p(95)': percentile(95, sortedBins),
+        'p(99)': percentile(99, sortedBins),
+      };
+    },
+  };
+}
+
+function entry(map, key, create) {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+}
+
+/**
+ * Creates an accumulator for the samples of one run.
+ *
+ * @param {Object} [options] - Analysis options (bucketSeconds, top)
+ * @returns {Object} - { add(record), result() }
+ */
+export function createAnalysis(options = DEFAULT_OPTIONS) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const metricTypes = {};
+  const counters = {};
+  const rates = {};
+  const timings = {};
+  const durations = createHistogram();
+  const endpoints = new Map();
+  const groups = new Map();
+  const statuses = new Map();
+  const buckets = new Map();
+  const checks = new Map();
+  const vus = { min: Infinity, max: 0 };
+  let outliers = [];
+  let firstTime = null;
+  let lastTime = null;
+
+  function addRequest(time, value, tags) {
+    durations.add(value);
+    const endpoint = tags.endpoint || tags.name || tags.url || '(unnamed)';
+    const failed = tags.expected_response === 'false';
+
+    const perEndpoint = entry(endpoints, endpoint, () => ({ durations: createHistogram(), failed: 0 }));
+    perEndpoint.durations.add(value);
+    perEndpoint.failed += failed ? 1 : 0;
+    entry(groups, tags.group || '', () => ({ durations: createHistogram() })).durations.add(value);
+
+    const status = entry(statuses, tags.status || '0', () => ({ count: 0, failed: 0, endpoints: new Map() }));
+    status.count++;
+    status.failed += failed ? 1 : 0;
+    status.endpoints.set(endpoint, (status.endpoints.get(endpoint) || 0) + 1);
+
+    // Samples are written roughly in time order; a late one joins the first bucket
+    const index = Math.max(Math.floor((time - firstTime) / 1000 / settings.bucketSeconds), 0);
+    const bucket = entry(buckets, index, () => ({ requests: 0, failed: 0, durations: createHistogram() }));
+    bucket.requests++;
+    bucket.failed += failed ? 1 : 0;
+    bucket.durations.add(value);
+
+    // Keep only the slowest requests (none with --top 0)
+    if (settings.top > 0 && (outliers.length < settings.top || value > outliers[outliers.length - 1].duration)) {
+      outliers.push({ time, duration: value, endpoint, group: tags.group || '', status: tags.status || '0', method: tags.method || '' });
+      outliers = outliers.sort((a, b) => b.duration - a.duration).slice(0, settings.top);
+    }
+  }
+
+  /**
+   * Adds one parsed NDJSON record.
+   *
+   * @param {Object} record - `Metric` or `Point` record from k6's JSON output
+   */
+  function add(record) {
+    if (record.type === 'Metric') {
+      metricTypes[record.metric] = { type: record.data.type, contains: record.data.contains };
+      return;
+    }
+    if (record.type !== 'Point') {
+      return;
+    }
+
+    const name = record.metric;
+    const { value } = record.data;
+    const tags = record.data.tags || {};
+    const time = Date.parse(record.data.time);
+    firstTime = firstTime === null ? time : Math.min(firstTime, time);
+    lastTime = lastTime === null ? time : Math.max(lastTime, time);
+
+    // Readiness probes are not part of the measured load
+    if (tags.phase === 'warmup') {
+      return;
+    }
+
+    const type = metricTypes[name] ? metricTypes[name].type : null;
+    if (type === 'counter') {
+      counters[name] = (counters[name] || 0) + value;
+    } else if (type === 'rate') {
+      const rate = rates[name] || (rates[name] = { passes: 0, fails: 0 });
+      rate[value !== 0 ? 'passes' : 'fails']++;
+    } else if (type === 'gauge' && name === 'vus') {
+      vus.min = Math.min(vus.min, value);
+      vus.max = Math.max(vus.max, value);
+    }
+
+    if (name === 'http_req_duration') {
+      addRequest(time, value, tags);
+    } else if (TIMING_METRICS.includes(name)) {
+      const timing = timings[name] || (timings[name] = { sum: 0, count: 0 });
+      timing.sum += value;
+      timing.count++;
+    } else if (name === 'checks') {
+      const check = entry(checks, `${tags.group || ''}\u0000${tags.check}`, () => ({ group: tags.group || '', check: tags.check, passes: 0, fails: 0 }));
+      check[value !== 0 ? 'passes' : 'fails']++;
+    }
+  }
+
+  /**
+   * Computes the analysis of everything added so far.
+   *
+   * @returns {Object} - Analysis for markdownAnalysis() and csvFiles()
+   */
+  function result() {
+    const durationSeconds = firstTime === null ? 0 : (lastTime - firstTime) / 1000;
+    const keyed = (map, fields) => [...map.keys()].sort().map((key) => fields(key, map.get(key)));
+
+    return {
+      durationSeconds,
+      bucketSeconds: settings.bucketSeconds,
+      counters,
+      rates,
+      vus: vus.max === 0 ? null : vus,
+      timings: Object.keys(timings).reduce((avg, name) => ({ ...avg, [name]: timings[name].sum / timings[name].count }), {}),
+      requestDuration: durations.count() === 0 ? null : durations.stats(),
+      endpoints: keyed(endpoints, (endpoint, e) => ({ endpoint, requests: e.durations.count(), failed: e.failed, ...e.durations.stats() })),
+      groups: keyed(groups, (group, g) => ({ group, requests: g.durations.count(), ...g.durations.stats() })),
+      statuses: keyed(statuses, (status, s) => ({
+        status,
+        requests: s.count,
+        failed: s.failed,
+        endpoints: [...s.endpoints.keys()].sort().map((endpoint) => `${endpoint} (${s.endpoints.get(endpoint)})`).join(', '),
+      })),
+      throughput: [...buckets.keys()].sort((a, b) => a - b).map((index) => {
+        const bucket = buckets.get(index);
+        const stats = bucket.durations.stats();
+        return {
+          start: index * settings.bucketSeconds,
+          requests: bucket.requests,
+          rps: bucket.requests / settings.bucketSeconds,
+          failed: bucket.failed,
+          avg: stats.avg,
+          'p(95)': stats['p(95)'],
+        };
+      }),
+      outliers: outliers.map((o) => ({ ...o, offset: (o.time - firstTime) / 1000 })),
+      checks: [...checks.values()].sort((a, b) => b.fails - a.fails || a.check.localeCompare(b.check)),
+    };
+  }
+
+  return { add, result };
+}
+
+/**
+ * Reads a results file line by line into an analysis.
+ *
+ * @param {string} file - NDJSON file, `.gz` for gzip-compressed output
+ * @param {Object} [options] - Analysis options
+ * @returns {Promise<Object>} - Result of the analysis
+ */
+export async function analyzeFile(file, options) {
+  const analysis = createAnalysis(options);
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  let lineNumber = 0;
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}:${lineNumber}: not a JSON line (${e.message}); expected the output of k6 run --out json=<file>`);
+    }
+    analysis.add(record);
+  }
+  return analysis.result();
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map((row) => `| ${row.map(escapeMarkdown).join(' | ')} |`),
+    '',
+  ];
+}
+
+function rateLine(name, rate) {
+  const total = rate.passes + rate.fails;
+  return `${name}${'.'.repeat(Math.max(31 - name.length, 3))}: ${formatPercent(rate.passes, total)} (${rate.passes} out of ${total})`;
+}
+
+function counterLine(name, value, seconds, format) {
+  const perSecond = seconds > 0 ? value / seconds : 0;
+  return `${name}${'.'.repeat(Math.max(31 - name.length, 3))}: ${format(value)} (${format(perSecond)}/s)`;
+}
+
+/**
+ * Lists notable results, like the "Performance Interpretation" of guideResult.md.
+ *
+ * @param {Object} result - Result of the analysis
+ * @returns {Array<string>} - Observations
+ */
+function observations(result) {
+  const notes = [];
+  const failed = result.rates.http_req_failed;
+  if (failed) {
+    notes.push(failed.passes === 0
+      ? 'No failed requests'
+      : `${formatPercent(failed.passes, failed.passes + failed.fails)} of requests failed; see the status code breakdown`);
+  }
+  const checks = result.rates.checks;
+  if (checks && checks.fails > 0) {
+    notes.push(`${checks.fails} check(s) failed; see the failed checks`);
+  }
+  const duration = result.requestDuration;
+  if (duration && duration.max > 3 * duration['p(95)']) {
+    notes.push(`Maximum response time (${formatDuration(duration.max)}) is more than 3x p(95) (${formatDuration(duration['p(95)'])}); investigate the slowest requests`);
+  }
+  const slowest = [...result.endpoints].sort((a, b) => b['p(95)'] - a['p(95)'])[0];
+  if (slowest && result.endpoints.length > 1) {
+    notes.push(`Slowest endpoint by p(95): ${slowest.endpoint} (${formatDuration(slowest['p(95)'])})`);
+  }
+  return notes;
+}
+
+/**
+ * Renders the analysis as Markdown with the sections of guideResult.md.
+ *
+ * @param {Object} result - Result of the analysis
+ * @param {string} name - Run name shown in the title
+ * @returns {string} - Markdown document
+ */
+export function markdownAnalysis(result, name) {
+  const { counters, rates } = result;
+  const seconds = result.durationSeconds;
+  const lines = [`# Performance Test Analysis: ${name}`, ''];
+  const block = (entries) => {
+    const present = entries.filter(Boolean);
+    return present.length === 0 ? ['No samples.', ''] : ['```', ...present, '```', ''];
+  };
+  const stats = (values) => STATS.map((stat) => formatDuration(values[stat]));
+
+  lines.push('## 1. Scenario Overview', '');
+  lines.push(`- **Test Duration**: ${formatDuration(seconds * 1000)}`);
+  if (result.vus) {
+    lines.push(`- **Virtual Users (VUs)**: ${result.vus.min} to ${result.vus.max}`);
+  }
+  if (counters.iterations !== undefined) {
+    lines.push(`- **Iterations**: ${counters.iterations} (${(counters.iterations / (seconds || 1)).toFixed(2)}/s)`);
+  }
+  lines.push('');
+
+  lines.push('## 2. Checks and Validation', '', ...block([rates.checks && rateLine('checks', rates.checks)]));
+
+  lines.push('## 3. Data Transfer', '', ...block(['data_received', 'data_sent']
+    .filter((metric) => counters[metric] !== undefined)
+    .map((metric) => counterLine(metric, counters[metric], seconds, formatBytes))));
+
+  const errorLines = ['errors', 'http_req_failed']
+    .filter((metric) => rates[metric])
+    .map((metric) => rateLine(metric, rates[metric]));
+  lines.push('## 4. Error Handling', '');
+  // The status code table below stands on its own when the rates were not exported
+  if (errorLines.length > 0 || result.statuses.length === 0) {
+    lines.push(...block(errorLines));
+  }
+  if (result.statuses.length > 0) {
+    lines.push('### Responses by Status Code', '');
+    lines.push(...table(['Status', 'Requests', 'Failed', 'Endpoints'],
+      result.statuses.map((s) => [s.status === '0' ? '0 (no response)' : s.status, s.requests, s.failed, s.endpoints])));
+  }
+
+  if (result.requestDuration) {
+    lines.push('## 5. Request Duration', '');
+    lines.push(...table(['Statistic', 'Value'], STATS.map((stat) => [stat, formatDuration(result.requestDuration[stat])])));
+    lines.push('### Per Endpoint', '');
+    lines.push(...table(['Endpoint', 'Requests', 'Failed', ...STATS], result.endpoints.map((e) => [e.endpoint, e.requests, e.failed, ...stats(e)])));
+    lines.push('### Per Group', '');
+    lines.push(...table(['Group', 'Requests', ...STATS], result.groups.map((g) => [g.group || '(root)', g.requests, ...stats(g)])));
+  }
+
+  lines.push('## 6. Request Timing Components', '', ...block(TIMING_METRICS
+    .filter((metric) => result.timings[metric] !== undefined)
+    .map((metric) => `${metric}${'.'.repeat(Math.max(31 - metric.length, 3))}: avg=${formatDuration(result.timings[metric])}`)));
+
+  const loadLines = [
+    counters.http_reqs !== undefined && counterLine('http_reqs', counters.http_reqs, seconds, (v) => (Number.isInteger(v) ? v : v.toFixed(2))),
+    counters.iterations !== undefined && counterLine('iterations', counters.iterations, seconds, (v) => (Number.isInteger(v) ? v : v.toFixed(2))),
+    result.vus && `vus${'.'.repeat(28)}: min=${result.vus.min} max=${result.vus.max}`,
+  ].filter(Boolean);
+  lines.push('## 7. Load Characteristics', '');
+  if (loadLines.length > 0 || result.throughput.length === 0) {
+    lines.push(...block(loadLines));
+  }
+  if (result.throughput.length > 0) {
+    lines.push(`### Throughput per ${result.bucketSeconds}s`, '');
+    lines.push(...table(['Start', 'Requests', 'Requests/s', 'Failed', 'avg', 'p(95)'], result.throughput.map((b) => [
+      `${b.start}s`, b.requests, b.rps.toFixed(2), b.failed, formatDuration(b.avg), formatDuration(b['p(95)']),
+    ])));
+  }
+
+  if (result.outliers.length > 0) {
+    lines.push('## 8. Slowest Requests', '');
+    lines.push(...table(['Duration', 'At', 'Method', 'Endpoint', 'Status', 'Group'], result.outliers.map((o) => [
+      formatDuration(o.duration), `${o.offset.toFixed(1)}s`, o.method, o.endpoint, o.status, o.group || '(root)',
+    ])));
+  }
+
+  const failedChecks = result.checks.filter((c) => c.fails > 0);
+  lines.push('## 9. Failed Checks', '');
+  if (failedChecks.length === 0) {
+    lines.push('All checks passed.', '');
+  } else {
+    lines.push(...table(['Check', 'Group', 'Fails', 'Passes'], failedChecks.map((c) => [c.check, c.group || '(root)', c.fails, c.passes])));
+  }
+
+  const notes = observations(result);
+  if (notes.length > 0) {
+    lines.push('## 10. Performance Interpretation', '', ...notes.map((note) => `- ${note}`), '');
+  }
+
+  return lines.join('\n');
+}
+
+function csvValue(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : value.toFixed(3);
+  }
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csv(headers, rows) {
+  return `${[headers, ...rows].map((row) => row.map(csvValue).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Renders the tables of the analysis as CSV files. Durations are in
+ * milliseconds, bucket and outlier times in seconds from the start of the run.
+ *
+ * @param {Object} result - Result of the analysis
+ * @returns {Object} - CSV contents keyed by file suffix
+ */
+export function csvFiles(result) {
+  const statHeaders = STATS.map((stat) => `${stat}_ms`);
+  return {
+    endpoints: csv(['endpoint', 'requests', 'failed', ...statHeaders],
+      result.endpoints.map((e) => [e.endpoint, e.requests, e.failed, ...STATS.map((stat) => e[stat])])),
+    groups: csv(['group', 'requests', ...statHeaders],
+      result.groups.map((g) => [g.group, g.requests, ...STATS.map((stat) => g[stat])])),
+    statuses: csv(['status', 'requests', 'failed'], result.statuses.map((s) => [s.status, s.requests, s.failed])),
+    throughput: csv(['start_s', 'requests', 'requests_per_s', 'failed', 'avg_ms', 'p95_ms'],
+      result.throughput.map((b) => [b.start, b.requests, b.rps, b.failed, b.avg, b['p(95)']])),
+    outliers: csv(['offset_s', 'duration_ms', 'method', 'endpoint', 'status', 'group'],
+      result.outliers.map((o) => [o.offset, o.duration, o.method, o.endpoint, o.status, o.group])),
+    checks: csv(['check', 'group', 'passes', 'fails'], result.checks.map((c) => [c.check, c.group, c.passes, c.fails])),
+  };
+}
+
+/**
+ * Parses the command line: a results file followed by options.
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { file, name, outDir, bucketSeconds, top }
+ */
+export function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS, file: null, name: null };
+  const flags = {
+    '--name': (value) => { options.name = value; },
+    '--out-dir': (value) => { options.outDir = value; },
+    '--bucket': (value) => { options.bucketSeconds = Number(value); },
+    '--top': (value) => { options.top = Number(value); },
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (flags[args[i]]) {
+      flags[args[i]](args[++i]);
+    } else if (!args[i].startsWith('--') && options.file === null) {
+      options.file = args[i];
+    } else {
+      throw new Error(`Unknown argument "${args[i]}"`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: node tools/analyze-results.mjs <results.json[.gz]> [--name <name>] [--out-dir <dir>] [--bucket <seconds>] [--top <n>]');
+  }
+  if (!(options.bucketSeconds > 0) || !Number.isInteger(options.top) || options.top < 0) {
+    throw new Error('--bucket must be a positive number of seconds and --top a non-negative integer');
+  }
+  options.name = options.name || path.basename(options.file).replace(/\.json(\.gz)?$/, '');
+  return options;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const result = await analyzeFile(options.file, options);
+    fs.mkdirSync(options.outDir, { recursive: true });
+
+    const written = [];
+    const write = (file, content) => {
+      const target = path.join(options.outDir, file);
+      fs.writeFileSync(target, content);
+      written.push(target);
+    };
+    write(`${options.name}-analysis.md`, markdownAnalysis(result, options.name));
+    const files = csvFiles(result);
+    Object.keys(files).forEach((suffix) => write(`${options.name}-${suffix}.csv`, files[suffix]));
+
+    console.log(`Analyzed ${options.file}: ${result.endpoints.reduce((total, e) => total + e.requests, 0)} requests over ${formatDuration(result.durationSeconds * 1000)}`);
+    written.forEach((file) => console.log(`  wrote ${file}`));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}